@@ -1,21 +1,135 @@
-import React, { useState, useRef, useEffect, useCallback, useId } from "react";
+import React, {
+  useState,
+  useRef,
+  useEffect,
+  useCallback,
+  useId,
+  useMemo,
+} from "react";
 import Papa from "papaparse";
 import { DateTime } from "luxon";
-import { v4 as uuidv4 } from "uuid";
 import { createEvents } from "ics";
+import {
+  IMPORT_HISTORY_LIMIT,
+  clearAllData,
+  loadState,
+  saveState,
+} from "./storage";
 // import domtoimage from 'dom-to-image';
 import html2canvas from "html2canvas";
+import {
+  ENCODING_LABELS,
+  buildRows,
+  guessMapping,
+  loadSavedMapping,
+  missingColumns,
+  parseCsvFile,
+  saveMapping,
+} from "./csvImport";
+import ImportWizard from "./ImportWizard";
+import DiffPanel from "./DiffPanel";
+import IcsExportDialog from "./IcsExportDialog";
+import TodoistOptions from "./TodoistOptions";
+import ReminderDialog from "./ReminderDialog";
+import CalendarView from "./CalendarView";
+import WorkloadDashboard from "./WorkloadDashboard";
+import SettingsDialog from "./SettingsDialog";
+import ViewPicker from "./ViewPicker";
+import NotificationDialog from "./NotificationDialog";
+import ImageTemplateDialog from "./ImageTemplateDialog";
+import { DEFAULT_IMAGE_OPTIONS } from "./imageTemplates";
+import PrintDialog from "./PrintDialog";
+import PrintPlanner from "./PrintPlanner";
+import { DEFAULT_PLANNER_OPTIONS, buildPlannerWeeks } from "./planner";
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  saveSettings,
+  settingsToJSON,
+} from "./settings";
+import {
+  STATUS_CATEGORIES,
+  categoryLabel,
+  countByCategory,
+  taskCategory,
+} from "./statusCategories";
+import { URGENCY_LEVELS, formatCountdown, urgencyLevel } from "./urgency";
+import { QUERY_HINT, matchesQuery, parseQuery } from "./searchQuery";
+import { consumeLaunchFiles, takeSharedFiles } from "./pwa";
+import { buildDashboardHTML } from "./htmlExport";
+import {
+  dueNotifications,
+  loadNotifyPrefs,
+  loadSentLog,
+  notificationPermission,
+  saveNotifyPrefs,
+  saveSentLog,
+  scheduleNotifications,
+  showDeadlineNotification,
+} from "./notifications";
+import {
+  SNAPSHOT_SOURCE_NAME,
+  canSnapshot,
+  decodeSnapshot,
+  encodeSnapshot,
+  filtersToSearch,
+  searchToFilters,
+} from "./shareLink";
+import {
+  captureView,
+  dayOffset,
+  loadViews,
+  mergeViewsJSON,
+  restoreFilters,
+  saveViews,
+  viewToFilters,
+  viewsToJSON,
+} from "./views";
+import {
+  chunkPayload,
+  defaultReminderPrefs,
+  fitsInSingleUrl,
+  shortcutClipboardUrl,
+  shortcutTextUrl,
+} from "./reminders";
+import {
+  DEFAULT_TODOIST_OPTIONS,
+  TODOIST_COLUMNS,
+  buildTodoistRecords,
+  todoistFileName,
+} from "./todoist";
+import {
+  DEFAULT_ICS_OPTIONS,
+  buildICS,
+  planCalendarUpdate,
+} from "./icalendar";
+import {
+  deserializeDiff,
+  deserializeTask,
+  diffSize,
+  diffTasks,
+  isSnoozed,
+  localStatusOf,
+  mergeSources,
+  serializeDiff,
+  serializeTask,
+  taskKey,
+  updateLocalStatus,
+} from "./tasks";
 
-const TODAY = DateTime.local().toISODate(); // 例: "2025-07-19"
-const DEFAULT_SPAN_DAYS = 7; // 期間
-const REMINDER_SHORTCUT_NAME = "WebClass Reminders";
-const REMINDER_INSTALL_URL =
-  "https://www.icloud.com/shortcuts/fdadcf1171ad4a8a82f7b2d6f494a57f";
-const REMINDER_EXCLUDED_STATUSES = ["合格", "回答済み"];
+const DEFAULT_SPAN_DAYS = DEFAULT_SETTINGS.spanDays; // 期間
+const ICS_OPTIONS_KEY = "webclass-todo-ics";
+const TODOIST_OPTIONS_KEY = "webclass-todo-todoist";
+const IMAGE_OPTIONS_KEY = "webclass-todo-image";
+const PRINT_OPTIONS_KEY = "webclass-todo-print";
+const REMINDER_PREFS_KEY = "webclass-todo-reminder";
+const REMINDER_BATCHES_KEY = "webclass-todo-reminder-batches";
 
 function useDefaultFilters() {
   const [days, setDays] = useState(DEFAULT_SPAN_DAYS);
-  const [startDate, setStartDate] = useState(TODAY);
+  const [startDate, setStartDate] = useState(() =>
+    DateTime.local().toISODate(),
+  );
   const [endDate, setEndDate] = useState(
     DateTime.local().plus({ days: DEFAULT_SPAN_DAYS }).toISODate(),
   );
@@ -25,7 +139,7 @@ function useDefaultFilters() {
   /** 条件をデフォルトへ戻す */
   const resetFilters = () => {
     setDays(DEFAULT_SPAN_DAYS);
-    setStartDate(TODAY);
+    setStartDate(DateTime.local().toISODate());
     setEndDate(DateTime.local().plus({ days: DEFAULT_SPAN_DAYS }).toISODate());
     setKeyword("");
     setStatusOpt([]);
@@ -46,6 +160,25 @@ function useDefaultFilters() {
   };
 }
 
+/**
+ * 現在時刻を一定間隔で更新する（カウントダウンと「今日」の切り替わり用）
+ * タブに戻ったときもすぐに更新する
+ * @param {number} intervalMs
+ */
+function useNow(intervalMs) {
+  const [now, setNow] = useState(() => DateTime.local());
+  useEffect(() => {
+    const tick = () => setNow(DateTime.local());
+    const timer = window.setInterval(tick, intervalMs);
+    document.addEventListener("visibilitychange", tick);
+    return () => {
+      window.clearInterval(timer);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [intervalMs]);
+  return now;
+}
+
 function downloadBlob(data, fileName, mimeType) {
   const blob = new Blob([data], { type: mimeType });
   const url = URL.createObjectURL(blob);
@@ -69,7 +202,13 @@ const getThemeColors = () => {
   };
 };
 
-const buildImageWrapper = (isMobile, filtered, tableRef) => {
+// PC 向けの画像は containerRef 内の selector の要素（既定はテーブル）を写す
+const buildImageWrapper = (
+  isMobile,
+  filtered,
+  containerRef,
+  selector = "table",
+) => {
   const { bg, surface, border, text } = getThemeColors();
   const wrapper = document.createElement("div");
   wrapper.style.backgroundColor = bg;
@@ -87,7 +226,7 @@ const buildImageWrapper = (isMobile, filtered, tableRef) => {
         ["締切", r.締切.toFormat("yyyy-MM-dd HH:mm")],
         ["教材", r.教材],
         ["コース", r.コース名],
-        ["状態", r.状態],
+        ["状態", `${r.状態}（${categoryLabel(r.category)}）`],
       ];
       fields.forEach(([label, value]) => {
         const row = document.createElement("div");
@@ -104,17 +243,20 @@ const buildImageWrapper = (isMobile, filtered, tableRef) => {
       wrapper.appendChild(card);
     });
   } else {
-    const container = tableRef.current;
+    const container = containerRef.current;
     if (!container) return null;
-    const tableEl = container.querySelector("table");
-    if (!tableEl) return null;
-    wrapper.appendChild(tableEl.cloneNode(true));
+    const target = container.querySelector(selector);
+    if (!target) return null;
+    wrapper.appendChild(target.cloneNode(true));
   }
   return wrapper;
 };
 
 const captureAndPreview = async (wrapper, name, openPreview) => {
-  if (!wrapper) return;
+  if (!wrapper) {
+    alert("画像にする表示が見つかりません");
+    return;
+  }
   const { bg } = getThemeColors();
   document.body.appendChild(wrapper);
   try {
@@ -135,16 +277,59 @@ const captureAndPreview = async (wrapper, name, openPreview) => {
 
 export default function App() {
   // State
-  const [data, setData] = useState([]);
-  const [daysFilter, setDaysFilter] = useState(DEFAULT_SPAN_DAYS);
-  const [startDate, setStartDate] = useState(DateTime.local().toISODate());
-  const [endDate, setEndDate] = useState(
-    DateTime.local().plus({ days: daysFilter }).toISODate(),
+  // 読み込んだファイルごとのタスク [{name, tasks, info}]
+  const [sources, setSources] = useState([]);
+  // 端末に保存した設定（ショートカット名・タイムゾーン・既定の抽出条件など）
+  const [settings, setSettings] = useState(loadSettings);
+  const { zone, statusMapping } = settings;
+  // 名前を付けて保存した抽出条件 {views, defaultView}
+  const [savedViews, setSavedViews] = useState(loadViews);
+  // 1 分ごとに進む現在時刻と、設定のタイムゾーンでの今日の日付
+  const now = useNow(60 * 1000);
+  const today = now.setZone(zone).toISODate();
+  // 締切は設定のタイムゾーンで表示し、状態の区分 (category) を付ける
+  const data = useMemo(
+    () =>
+      mergeSources(sources).map((r) => {
+        const row = r.noDeadline ? r : { ...r, 締切: r.締切.setZone(zone) };
+        return { ...row, category: taskCategory(row, statusMapping, now) };
+      }),
+    [sources, zone, statusMapping, now],
   );
-  const [statuses, setStatuses] = useState([]);
+  const [daysFilter, setDaysFilter] = useState(settings.spanDays);
+  const [startDate, setStartDate] = useState(today);
+  const [endDate, setEndDate] = useState(() =>
+    DateTime.fromISO(today).plus({ days: daysFilter }).toISODate(),
+  );
+  // 表示しない状態の区分
+  const [hiddenCategories, setHiddenCategories] = useState([]);
   const [keyword, setKeyword] = useState("");
-  const [sortField, setSortField] = useState("締切");
-  const [sortAsc, setSortAsc] = useState(true);
+  const [sortField, setSortField] = useState(settings.sortField);
+  const [sortAsc, setSortAsc] = useState(settings.sortAsc);
+  // 自分で完了にしたタスクを隠す
+  const [hideDone, setHideDone] = useState(true);
+  // 一覧 ("list")・カレンダー ("calendar")・負荷 ("dashboard") のどれを表示するか
+  // と、カレンダーの単位 ("month"|"week")
+  const [view, setView] = useState("list");
+  const [calendarMode, setCalendarMode] = useState("month");
+  // 非表示・スヌーズ中のタスクも表示する
+  const [showHidden, setShowHidden] = useState(false);
+  // 課題ごとに端末内で付けた状態 {[taskIdentity]: LocalStatus}
+  const [userData, setUserData] = useState({});
+  // 前回の iCalendar 書き出し記録 {[課題の識別キー]: {uid, sequence, due, ...}}
+  const [calendarExports, setCalendarExports] = useState({});
+  // IndexedDB からの復元が終わるまでは保存しない
+  const [isRestored, setRestored] = useState(false);
+  // 取り込み履歴（新しい順）[{at, files, total, added, removed, changed}]
+  const [importHistory, setImportHistory] = useState([]);
+  // 直前の読み込みとの差分 {added, removed, changed}
+  const [importDiff, setImportDiff] = useState(null);
+  // 列の割り当て待ちの取り込み（先頭から順に ImportWizard に渡す）
+  const [pendingImports, setPendingImports] = useState([]);
+  // 共有リンクに載っていたタスク（復元が終わってから読み込む）
+  const [sharedTasks, setSharedTasks] = useState(null);
+  // 共有シートや「このアプリで開く」で渡された CSV（復元が終わってから読み込む）
+  const [incomingFiles, setIncomingFiles] = useState([]);
 
   // Filter accordion open state (desktop open by default)
   const [isFilterOpen, setIsFilterOpen] = useState(
@@ -156,31 +341,123 @@ export default function App() {
   // ファイル入力要素をクリアするための ref
   const fileInputRef = useRef(null);
 
-  // テーブルの参照（PNG 書き出し用）
+  // テーブル・カレンダーの参照（PNG 書き出し用）
   const tableRef = useRef(null);
+  const calendarRef = useRef(null);
+  const dashboardRef = useRef(null);
   const [preview, setPreview] = useState(null); // {url, name, mime, blob}
   const [isReminderMenuOpen, setReminderMenuOpen] = useState(false);
   const [isActionPanelOpen, setActionPanelOpen] = useState(false);
+  const [isIcsDialogOpen, setIcsDialogOpen] = useState(false);
+  const [isReminderDialogOpen, setReminderDialogOpen] = useState(false);
+  const [isSettingsOpen, setSettingsOpen] = useState(false);
+  const [isNotificationDialogOpen, setNotificationDialogOpen] = useState(false);
+  const [isImageDialogOpen, setImageDialogOpen] = useState(false);
+  const [isPrintDialogOpen, setPrintDialogOpen] = useState(false);
+  // 印刷中の週間プランナーの設定（印刷画面を閉じたら null に戻す）
+  const [printJob, setPrintJob] = useState(null);
+  // 締切の通知の設定（タイミング・ミュートした課題）
+  const [notifyPrefs, setNotifyPrefs] = useState(loadNotifyPrefs);
+  // 前回のリマインダー送信の選択
+  const [reminderPrefs, setReminderPrefs] = useState(() => {
+    const defaults = defaultReminderPrefs();
+    try {
+      return {
+        ...defaults,
+        ...JSON.parse(localStorage.getItem(REMINDER_PREFS_KEY)),
+      };
+    } catch {
+      return defaults;
+    }
+  });
+  // 分割送信の進捗 {batches, sent}（ショートカットから戻っても続きを送れるよう保存する）
+  const [reminderBatches, setReminderBatches] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(REMINDER_BATCHES_KEY));
+    } catch {
+      return null;
+    }
+  });
+  // 前回の Todoist 書き出し設定
+  const [todoistOptions, setTodoistOptions] = useState(() => {
+    try {
+      return {
+        ...DEFAULT_TODOIST_OPTIONS,
+        ...JSON.parse(localStorage.getItem(TODOIST_OPTIONS_KEY)),
+      };
+    } catch {
+      return DEFAULT_TODOIST_OPTIONS;
+    }
+  });
+  // 前回の画像テンプレートの選択
+  const [imageOptions, setImageOptions] = useState(() => {
+    try {
+      return {
+        ...DEFAULT_IMAGE_OPTIONS,
+        ...JSON.parse(localStorage.getItem(IMAGE_OPTIONS_KEY)),
+      };
+    } catch {
+      return DEFAULT_IMAGE_OPTIONS;
+    }
+  });
+  // 前回の週間プランナーの用紙・向き
+  const [printOptions, setPrintOptions] = useState(() => {
+    try {
+      return {
+        ...DEFAULT_PLANNER_OPTIONS,
+        ...JSON.parse(localStorage.getItem(PRINT_OPTIONS_KEY)),
+      };
+    } catch {
+      return DEFAULT_PLANNER_OPTIONS;
+    }
+  });
+  // 前回の iCalendar 書き出し設定
+  const [icsOptions, setIcsOptions] = useState(() => {
+    try {
+      return (
+        JSON.parse(localStorage.getItem(ICS_OPTIONS_KEY)) || DEFAULT_ICS_OPTIONS
+      );
+    } catch {
+      return DEFAULT_ICS_OPTIONS;
+    }
+  });
 
   // refs for latest handlers (used by hotkeys)
   const handlersRef = useRef({});
   const reminderMenuRef = useRef(null);
   const extraActionsId = useId();
+  const queryHintId = useId();
 
-  // フィルタ条件のみリセット
+  // フィルタ条件のみリセット（既定のビューがあればその条件に戻す）
   const resetFilters = () => {
-    const today = DateTime.local().toISODate();
-    setDaysFilter(DEFAULT_SPAN_DAYS);
+    const defaultView = savedViews.views.find(
+      (v) => v.name === savedViews.defaultView,
+    );
+    if (defaultView) {
+      applyFilters(viewToFilters(defaultView, today));
+      return;
+    }
+    setDaysFilter(settings.spanDays);
     setStartDate(today);
     setEndDate(
-      DateTime.fromISO(today).plus({ days: DEFAULT_SPAN_DAYS }).toISODate(),
+      DateTime.fromISO(today).plus({ days: settings.spanDays }).toISODate(),
     );
-    setStatuses([]);
+    setHiddenCategories([]);
     setKeyword("");
-    setSortField("締切");
-    setSortAsc(true);
+    setSortField(settings.sortField);
+    setSortAsc(settings.sortAsc);
+    setHideDone(true);
+    setShowHidden(false);
   };
 
+  // 日付が変わったとき、開始日が今日のままだったものは新しい今日に進める
+  const prevTodayRef = useRef(today);
+  useEffect(() => {
+    const prevToday = prevTodayRef.current;
+    prevTodayRef.current = today;
+    setStartDate((prev) => (prev === prevToday ? today : prev));
+  }, [today]);
+
   // startDate または daysFilter が変わったら endDate を自動更新
   useEffect(() => {
     const sd = DateTime.fromISO(startDate);
@@ -218,90 +495,155 @@ export default function App() {
     };
   }, [isReminderMenuOpen]);
 
-  // マウント時に履歴・sessionStorage から状態を復元
+  const applyFilters = (filters) => {
+    setDaysFilter(filters.days);
+    setStartDate(filters.startDate);
+    setEndDate(filters.endDate);
+    setHiddenCategories(filters.hiddenCategories || []);
+    setKeyword(filters.keyword);
+    if (filters.sortField) setSortField(filters.sortField);
+    if (typeof filters.sortAsc === "boolean") setSortAsc(filters.sortAsc);
+    if (typeof filters.hideDone === "boolean") setHideDone(filters.hideDone);
+    if (filters.view) setView(filters.view);
+    if (filters.calendarMode) setCalendarMode(filters.calendarMode);
+    if (typeof filters.showHidden === "boolean")
+      setShowHidden(filters.showHidden);
+    prevStateRef.current = JSON.stringify({ filters });
+  };
+
+  // URL のクエリに載っている抽出条件（共有リンク）
+  const filtersFromURL = () =>
+    searchToFilters(window.location.search, today, {
+      days: settings.spanDays,
+      sortField: settings.sortField,
+      sortAsc: settings.sortAsc,
+    });
+
+  // マウント時に IndexedDB から状態を復元
   useEffect(() => {
-    const applyState = (state) => {
-      if (!state) return;
+    let cancelled = false;
+    loadState().then(async (stored) => {
+      // 履歴の書き換えでハッシュが消える前に、リンクに載っているタスクを読む
+      const shared = await decodeSnapshot(window.location.hash, zone).catch(
+        (e) => {
+          alert(e.message);
+          return null;
+        },
+      );
+      if (cancelled) return;
       try {
-        const { data: raw, filters } = state;
-        const parsed = raw.map((r) => ({
-          ...r,
-          締切: DateTime.fromISO(r.締切, { zone: "Asia/Tokyo" }),
-        }));
-        setData(parsed);
-        setDaysFilter(filters.days);
-        setStartDate(filters.startDate);
-        setEndDate(filters.endDate);
-        setStatuses(filters.statuses);
-        setKeyword(filters.keyword);
-        if (filters.sortField) setSortField(filters.sortField);
-        if (typeof filters.sortAsc === "boolean") setSortAsc(filters.sortAsc);
-        prevStateRef.current = JSON.stringify(state);
+        setSources(
+          stored.sources.map(({ name, tasks }) => ({
+            name,
+            tasks: tasks.map((r) => deserializeTask(r, zone)),
+          })),
+        );
+        setImportDiff(stored.diff ? deserializeDiff(stored.diff) : null);
+        setImportHistory(stored.importHistory);
+        setUserData(stored.userData);
+        setCalendarExports(stored.calendarExports);
+        if (shared) setSharedTasks(shared);
+        // 戻る／進むで再訪した場合は履歴に残っている条件、共有リンクで開いた場合は
+        // URL の条件を優先し、どちらも無ければ既定のビューがあればその条件から始める
+        const defaultView = savedViews.views.find(
+          (v) => v.name === savedViews.defaultView,
+        );
+        // 保存した条件は日をまたいで残るため、開始日を今日に合わせてずらす
+        const storedFilters = restoreFilters(stored.filters, today);
+        const filters =
+          window.history.state?.filters ||
+          filtersFromURL() ||
+          (defaultView
+            ? { ...storedFilters, ...viewToFilters(defaultView, today) }
+            : storedFilters);
+        if (filters) applyFilters(filters);
       } catch (e) {
         console.error("State apply failed:", e);
       }
-    };
+      setRestored(true);
+    });
 
-    const restore = () => {
-      let state = window.history.state;
-      if (!state) {
-        const stored = sessionStorage.getItem("webclass-todo");
-        if (stored) {
-          try {
-            state = JSON.parse(stored);
-          } catch {}
-        }
-      }
-      if (state) {
-        applyState(state);
-        window.history.replaceState(state, "");
-      }
+    const onPop = (e) => {
+      const filters = e.state?.filters || handlersRef.current.filtersFromURL();
+      if (filters) applyFilters(filters);
     };
-
-    restore();
-    window.addEventListener("pageshow", restore);
-    const onPop = (e) => applyState(e.state);
     window.addEventListener("popstate", onPop);
 
     return () => {
-      window.removeEventListener("pageshow", restore);
+      cancelled = true;
       window.removeEventListener("popstate", onPop);
     };
-  }, [preview]);
+  }, []);
 
-  // Persist and push history
+  // 読み込んだタスクと取り込み履歴を保存
   useEffect(() => {
-    const state = {
-      data: data.map((r) => ({
-        締切: r.締切.toISO(),
-        教材: r.教材,
-        コース名: r.コース名,
-        状態: r.状態,
+    if (!isRestored) return;
+    saveState({
+      sources: sources.map(({ name, tasks }) => ({
+        name,
+        tasks: tasks.map(serializeTask),
       })),
-      filters: {
-        days: daysFilter,
-        startDate,
-        endDate,
-        statuses,
-        keyword,
-        sortField,
-        sortAsc,
-      },
+      diff: importDiff && serializeDiff(importDiff),
+      importHistory,
+      userData,
+      calendarExports,
+    });
+  }, [isRestored, sources, importDiff, importHistory, userData, calendarExports]);
+
+  // 抽出条件を保存し、履歴に積む
+  useEffect(() => {
+    if (!isRestored) return;
+    const filters = {
+      days: daysFilter,
+      startDate,
+      endDate,
+      hiddenCategories,
+      keyword,
+      sortField,
+      sortAsc,
+      hideDone,
+      showHidden,
+      view,
+      calendarMode,
     };
+    const state = { filters };
     const json = JSON.stringify(state);
-    if (prevStateRef.current === null) {
-      window.history.replaceState(state, "");
-    } else if (prevStateRef.current !== json) {
-      window.history.pushState(state, "");
+    // ブックマーク・共有できるよう、条件を URL のクエリにも載せる
+    const url = window.location.pathname + filtersToSearch(filters, today);
+    if (prevStateRef.current !== null && prevStateRef.current !== json) {
+      window.history.pushState(state, "", url);
+    } else {
+      // 日付が変わって今日からの日数だけが変わった場合も URL を書き換える
+      window.history.replaceState(state, "", url);
     }
     prevStateRef.current = json;
+    // 次に開いた日に合わせられるよう、開始日を今日からの日数でも保存する
+    saveState({
+      filters: { ...filters, startOffset: dayOffset(startDate, today) },
+    });
+  }, [
+    isRestored,
+    daysFilter,
+    startDate,
+    endDate,
+    hiddenCategories,
+    keyword,
+    sortField,
+    sortAsc,
+    hideDone,
+    showHidden,
+    view,
+    calendarMode,
+    today,
+  ]);
 
-    if (data.length) {
-      sessionStorage.setItem("webclass-todo", json);
+  useEffect(() => {
+    if (reminderBatches) {
+      localStorage.setItem(REMINDER_BATCHES_KEY, JSON.stringify(reminderBatches));
     } else {
-      sessionStorage.removeItem("webclass-todo");
+      localStorage.removeItem(REMINDER_BATCHES_KEY);
     }
-  }, [data, daysFilter, startDate, endDate, statuses, keyword, sortField, sortAsc]);
+  }, [reminderBatches]);
 
   // Keep latest handlers for hotkeys
   useEffect(() => {
@@ -314,6 +656,8 @@ export default function App() {
       closePreview,
       confirmDownload,
       resetFilters,
+      cancelImport,
+      filtersFromURL,
     };
   });
 
@@ -325,6 +669,13 @@ export default function App() {
       if (isFormElement && e.key !== 'Escape') return;
       if (e.key === 'Escape') {
         h.closePreview();
+        h.cancelImport();
+        setIcsDialogOpen(false);
+        setReminderDialogOpen(false);
+        setSettingsOpen(false);
+        setNotificationDialogOpen(false);
+        setImageDialogOpen(false);
+        setPrintDialogOpen(false);
       } else if (e.key === 'Enter' && preview) {
         e.preventDefault();
         h.confirmDownload();
@@ -377,78 +728,144 @@ export default function App() {
   }, []);
 
   // File upload parsing
-  const handleFile = (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = ({ target }) => {
-      const lines = target.result.split(/\r?\n/);
-      const idx = lines.findIndex((l) =>
-        l.startsWith('"学部","学科","コース名","教材","締切"'),
-      );
-      if (idx < 0) {
-        alert("ヘッダー行が見つかりません");
-        return;
-      }
-      const csvText = lines.slice(idx).join("\n");
-      Papa.parse(csvText, {
-        header: true,
-        skipEmptyLines: true,
-        complete: ({ data: rows, meta }) => {
-          const map = {
-            締切: ["締切", "締切日", "期限"],
-            教材: ["教材", "課題", "タイトル"],
-            コース名: ["コース名", "科目名", "講義名"],
-            状態: ["状態", "ステータス", "提出状況"],
-          };
-          const fieldMap = {};
-          Object.entries(map).forEach(([key, aliases]) => {
-            const found = meta.fields.find((f) => aliases.includes(f));
-            if (found) fieldMap[key] = found;
-          });
-          const missing = Object.keys(map).filter((k) => !fieldMap[k]);
-          if (missing.length) {
-            alert(`列が見つかりません: ${missing.join(", ")}`);
-            return;
-          }
-          const parsed = rows.map((r) => {
-            let dt = DateTime.fromISO(r[fieldMap["締切"]], {
-              zone: "Asia/Tokyo",
-            });
-            if (!dt.isValid)
-              dt = DateTime.fromFormat(
-                r[fieldMap["締切"]],
-                "yyyy-MM-dd HH:mm",
-                { zone: "Asia/Tokyo" },
-              );
-            return {
-              締切: dt,
-              教材: r[fieldMap["教材"]] || "",
-              コース名: r[fieldMap["コース名"]] || "",
-              状態: r[fieldMap["状態"]] || "",
-            };
-          });
-          setData(parsed);
+  const toSource = (draft, mapping) => {
+    const { tasks, skipped } = buildRows(
+      draft.rows,
+      mapping,
+      draft.rowLines,
+      zone,
+    );
+    return { name: draft.fileName, tasks, info: { ...draft, mapping, skipped } };
+  };
+
+  // 同じ名前のファイルは読み込み直しとして置き換える
+  const addSources = (list) => {
+    const next = [
+      ...sources.filter((s) => !list.some((n) => n.name === s.name)),
+      ...list,
+    ];
+    setSources(next);
+    // 既に読み込み済みのデータがあれば、今回の読み込みで何が変わったかを残す
+    const merged = mergeSources(next);
+    const diff = data.length ? diffTasks(data, merged) : null;
+    if (data.length) setImportDiff(diffSize(diff) ? diff : null);
+    setImportHistory((prev) =>
+      [
+        {
+          at: DateTime.local().toISO(),
+          files: list.map((s) => s.name),
+          total: merged.length,
+          added: diff?.added.length ?? merged.length,
+          removed: diff?.removed.length ?? 0,
+          changed: diff?.changed.length ?? 0,
         },
-      });
+        ...prev,
+      ].slice(0, IMPORT_HISTORY_LIMIT),
+    );
+  };
+
+  // 共有リンクのタスクを 1 つのファイルとして読み込む（同じリンクは置き換え）
+  useEffect(() => {
+    if (!isRestored || !sharedTasks) return;
+    setSharedTasks(null);
+    if (
+      sources.length &&
+      !window.confirm(
+        `共有リンクのタスク ${sharedTasks.length} 件を、読み込み済みのタスクに追加しますか？`,
+      )
+    )
+      return;
+    addSources([{ name: SNAPSHOT_SOURCE_NAME, tasks: sharedTasks }]);
+  }, [isRestored, sharedTasks]);
+
+  const removeSource = (name) => {
+    setSources((prev) => prev.filter((s) => s.name !== name));
+  };
+
+  const importFiles = async (files) => {
+    const ready = [];
+    const pending = [];
+    for (const file of files) {
+      const draft = await parseCsvFile(file);
+      if (!draft) {
+        alert(`${file.name}: ヘッダー行が見つかりません`);
+        continue;
+      }
+      const saved = loadSavedMapping(draft.fields);
+      const mapping = saved || guessMapping(draft.fields);
+      if (saved || (draft.headerDetected && !missingColumns(mapping).length)) {
+        ready.push(toSource(draft, mapping));
+      } else {
+        // 自動で割り当てられない列があれば取り込みダイアログで選んでもらう
+        pending.push({ ...draft, mapping });
+      }
+    }
+    if (ready.length) addSources(ready);
+    if (pending.length) setPendingImports((prev) => [...prev, ...pending]);
+  };
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (!files.length) return;
+    await importFiles(files);
+    // 同じファイルをもう一度選んでも change が発火するようにする
+    e.target.value = "";
+  };
+
+  // 共有シート・「このアプリで開く」から渡された CSV を受け取る
+  useEffect(() => {
+    const receive = (files) => {
+      if (files.length) setIncomingFiles((prev) => [...prev, ...files]);
     };
-    reader.readAsText(file, "utf-8");
+    takeSharedFiles().then(receive, (e) => {
+      console.error("Shared files read failed:", e);
+    });
+    consumeLaunchFiles(receive);
+  }, []);
+
+  useEffect(() => {
+    if (!isRestored || !incomingFiles.length) return;
+    setIncomingFiles([]);
+    importFiles(incomingFiles);
+  }, [isRestored, incomingFiles]);
+
+  const confirmImport = (mapping, remember) => {
+    const [draft] = pendingImports;
+    if (remember) saveMapping(draft.fields, mapping);
+    addSources([toSource(draft, mapping)]);
+    setPendingImports((prev) => prev.slice(1));
+  };
+
+  const cancelImport = () => {
+    setPendingImports((prev) => prev.slice(1));
   };
 
   // Filter
+  // 端末内で付けた状態による表示条件
+  const matchesLocalStatus = (r) => {
+    const local = localStatusOf(userData, r);
+    if (hideDone && local.done) return false;
+    return showHidden || (!local.hidden && !isSnoozed(local));
+  };
+
+  // キーワード欄の検索式（書き方が誤っている間は絞り込まない）
+  const query = useMemo(() => parseQuery(keyword), [keyword]);
+
+  // 状態・キーワードの条件（期限なしのタスクにも適用する）
+  const matchesConditions = (r) =>
+    !hiddenCategories.includes(r.category) &&
+    matchesQuery(query, r, now) &&
+    matchesLocalStatus(r);
+
   const filtered = data
     .filter((r) => r.締切.isValid)
     .filter((r) => {
       const d = r.締切;
-      const s = DateTime.fromISO(startDate);
-      const e = DateTime.fromISO(endDate);
+      const s = DateTime.fromISO(startDate, { zone });
+      const e = DateTime.fromISO(endDate, { zone });
       return d >= s && d <= e;
     })
-    .filter((r) => !statuses.length || statuses.includes(r.状態))
-    .filter(
-      (r) =>
-        !keyword || r.教材.includes(keyword) || r.コース名.includes(keyword),
-    )
+    .filter(matchesConditions)
     .sort((a, b) => {
       const va =
         sortField === "締切" ? a.締切.toMillis() : a[sortField] || "";
@@ -459,10 +876,236 @@ export default function App() {
       return 0;
     });
 
-  const nextDeadline = filtered.reduce((min, r) => {
-    if (!min || r.締切 < min) return r.締切;
-    return min;
-  }, null);
+  // リマインダー・カレンダー系の書き出し対象
+  // 自分で完了・非表示にしたものと、設定で除外した区分（既定は完了）は除く
+  const isExportable = (r) => {
+    const local = localStatusOf(userData, r);
+    return (
+      !local.done &&
+      !local.hidden &&
+      !settings.excludedCategories.includes(r.category)
+    );
+  };
+  const exportableRows = filtered.filter(isExportable);
+
+  // 締切の通知の対象（抽出条件によらず、完了・非表示・スヌーズ中のものは除く）
+  const notifiableRows = data.filter((r) => {
+    const local = localStatusOf(userData, r);
+    return (
+      !r.noDeadline &&
+      r.category !== "done" &&
+      !local.done &&
+      !local.hidden &&
+      !isSnoozed(local, now)
+    );
+  });
+
+  // 1 分ごとに、通知の時刻を過ぎたものを通知する
+  useEffect(() => {
+    if (!isRestored || !notifyPrefs.enabled) return;
+    if (notificationPermission() !== "granted") return;
+    const sent = loadSentLog(now);
+    const { show, passed } = dueNotifications(
+      scheduleNotifications(notifiableRows, notifyPrefs, now),
+      sent,
+      now,
+    );
+    if (!passed.length) return;
+    passed.forEach((item) => {
+      sent[item.tag] = item.row.締切.toISO();
+    });
+    saveSentLog(sent);
+    show.forEach((item) => {
+      showDeadlineNotification(item, now, zone).catch((e) => {
+        console.error("Notification failed:", e);
+      });
+    });
+  }, [isRestored, notifyPrefs, now, data, userData]);
+
+  const setLocalStatus = (r, patch) => {
+    setUserData((prev) => updateLocalStatus(prev, r, patch));
+  };
+
+  const renderLocalControls = (r) => {
+    const local = localStatusOf(userData, r);
+    const snoozed = isSnoozed(local);
+    return (
+      <span className="local-controls">
+        <button
+          type="button"
+          className={`icon-button ${local.done ? "is-active" : ""}`}
+          aria-pressed={!!local.done}
+          title={local.done ? "完了を取り消す" : "自分で完了にする"}
+          onClick={() => setLocalStatus(r, { done: !local.done })}
+        >
+          ✓
+        </button>
+        <button
+          type="button"
+          className={`icon-button ${snoozed ? "is-active" : ""}`}
+          aria-pressed={snoozed}
+          title={
+            snoozed
+              ? `${DateTime.fromISO(local.snoozeUntil).toFormat(
+                  "MM/dd HH:mm",
+                )} までスヌーズ中（クリックで解除）`
+              : "1 日スヌーズ"
+          }
+          onClick={() =>
+            setLocalStatus(r, {
+              snoozeUntil: snoozed
+                ? null
+                : DateTime.local().plus({ days: 1 }).toISO(),
+            })
+          }
+        >
+          💤
+        </button>
+        <button
+          type="button"
+          className={`icon-button ${local.hidden ? "is-active" : ""}`}
+          aria-pressed={!!local.hidden}
+          title={local.hidden ? "再表示する" : "非表示にする"}
+          onClick={() => setLocalStatus(r, { hidden: !local.hidden })}
+        >
+          🙈
+        </button>
+      </span>
+    );
+  };
+
+  // 完了していない課題の締切の近さ（今日締切・24 時間以内・3 日以内）
+  const urgencyOf = (r) =>
+    r.category === "done" || r.noDeadline || localStatusOf(userData, r).done
+      ? null
+      : urgencyLevel(r.締切, now);
+
+  // 状態の区分・締切の近さ・自分で完了にしたかによる行の見た目
+  const rowClass = (r) => {
+    const urgency = urgencyOf(r);
+    return [
+      `category--${r.category}`,
+      urgency ? `urgency--${urgency}` : "",
+      localStatusOf(userData, r).done ? "is-done" : "",
+    ].join(" ");
+  };
+
+  const renderCountdown = (r) =>
+    r.category !== "done" &&
+    !localStatusOf(userData, r).done && (
+      <span className="countdown">{formatCountdown(r.締切, now)}</span>
+    );
+
+  const renderCategory = (r) => (
+    <span className={`status-badge status-badge--${r.category}`}>
+      {categoryLabel(r.category)}
+    </span>
+  );
+
+  // 抽出期間より前に締切を過ぎた未完了の課題（締切が新しい順）
+  const overdueRows = data
+    .filter(
+      (r) =>
+        r.category === "overdue" &&
+        !r.noDeadline &&
+        r.締切 < DateTime.fromISO(startDate, { zone }),
+    )
+    .filter(matchesConditions)
+    .sort((a, b) => b.締切.toMillis() - a.締切.toMillis());
+
+  // カレンダーに載せる課題（抽出期間の外も前後の月・週で見られるよう、期間以外の条件だけで絞る）
+  const calendarRows = data
+    .filter((r) => r.締切.isValid)
+    .filter(matchesConditions);
+
+  // カレンダーで選んだ日・期間に抽出期間を絞り込む
+  const selectRange = (start, days) => {
+    setStartDate(start);
+    setDaysFilter(days);
+  };
+
+  // 締切が「-」などで期限の無いタスク
+  const noDeadlineRows = data
+    .filter((r) => r.noDeadline)
+    .filter(matchesConditions);
+
+  // 週間プランナーの週（印刷ダイアログを開いている間と印刷中だけ作る）
+  // 期限なしの課題は filtered に入らないため、別に加える
+  const planner =
+    isPrintDialogOpen || printJob
+      ? buildPlannerWeeks(
+          [...exportableRows, ...noDeadlineRows.filter(isExportable)],
+          { zone, startDate, endDate },
+        )
+      : null;
+
+  // 差分のバッジ表示用 taskKey -> {added, deadlineBefore, statusBefore}
+  const diffBadges = useMemo(() => {
+    const badges = new Map();
+    if (!importDiff) return badges;
+    importDiff.added.forEach((t) => badges.set(taskKey(t), { added: true }));
+    importDiff.changed.forEach(({ task, before, deadlineChanged, statusChanged }) =>
+      badges.set(taskKey(task), {
+        deadlineBefore: deadlineChanged ? before : null,
+        statusBefore: statusChanged ? before.状態 || "未設定" : null,
+      }),
+    );
+    return badges;
+  }, [importDiff]);
+
+  const renderDiffBadges = (r) => {
+    const badge = diffBadges.get(taskKey(r));
+    if (!badge) return null;
+    return (
+      <>
+        {badge.added && <span className="badge badge--new">NEW</span>}
+        {badge.deadlineBefore && (
+          <span
+            className="badge badge--changed"
+            title={`変更前: ${
+              badge.deadlineBefore.noDeadline
+                ? "期限なし"
+                : badge.deadlineBefore.締切.toFormat("yyyy-MM-dd HH:mm")
+            }`}
+          >
+            締切変更
+          </span>
+        )}
+        {badge.statusBefore && (
+          <span
+            className="badge badge--changed"
+            title={`変更前: ${badge.statusBefore}`}
+          >
+            状態変更
+          </span>
+        )}
+      </>
+    );
+  };
+
+  const skippedRows = sources.flatMap(({ name, info }) =>
+    (info?.skipped || []).map((s) => ({ ...s, fileName: name })),
+  );
+
+  // 複数ファイルを読み込んでいるときは出どころの列を表示する
+  const showSource = sources.length > 1;
+
+  // 取り込み時に残した追加列
+  const extraColumns = [
+    ...new Set(data.flatMap((r) => Object.keys(r.extra || {}))),
+  ];
+
+  // 読み込んだ課題全体と、抽出結果の区分ごとの件数
+  const categoryCounts = countByCategory(data);
+  const filteredCounts = countByCategory(filtered);
+
+  // 完了していない課題のうち、いちばん近い締切
+  const nextDeadline = filtered
+    .filter((r) => r.category !== "done")
+    .reduce((min, r) => {
+      if (!min || r.締切 < min) return r.締切;
+      return min;
+    }, null);
 
   // Utils
   const saveFile = (blob, name) => {
@@ -476,15 +1119,15 @@ export default function App() {
     URL.revokeObjectURL(url);
   };
 
-  const openPreview = (blob, name, mime) => {
+  const openPreview = (blob, name, mime, extra = {}) => {
     if (mime === "text/csv") {
       blob.text().then((text) => {
         const { data: rows } = Papa.parse(text.trim());
-        setPreview({ name, mime, blob, rows });
+        setPreview({ name, mime, blob, rows, ...extra });
       });
     } else {
       const url = URL.createObjectURL(blob);
-      setPreview({ url, name, mime, blob });
+      setPreview({ url, name, mime, blob, ...extra });
     }
   };
 
@@ -509,29 +1152,8 @@ export default function App() {
     }
   };
 
-  const runReminderShortcut = useCallback((items) => {
-    if (!items.length) {
-      alert("送信できる項目がありません。");
-      return false;
-    }
-    if (typeof window === "undefined") return false;
-    const ua = window.navigator?.userAgent || "";
-    const isIOS = /iP(hone|od|ad)/.test(ua);
-    if (!isIOS) {
-      alert("iPhone / iPad の Safari からアクセスして実行してください。");
-      return false;
-    }
-    const payload = JSON.stringify({
-      tasks: items.map((item) => ({
-        title: `${item.教材} (${item.コース名})`,
-        note: `状態: ${item.状態 || "未設定"}`,
-        dueDate: item.締切.setZone("Asia/Tokyo").toISO(),
-      })),
-    });
-    const url = `shortcuts://run-shortcut?name=${encodeURIComponent(
-      REMINDER_SHORTCUT_NAME,
-    )}&input=text&text=${encodeURIComponent(payload)}`;
-
+  // ショートカットの URL を開き、起動できなければインストールページを案内する
+  const launchShortcut = useCallback((url) => {
     let fallbackTimer = 0;
     let didLeavePage = false;
 
@@ -565,116 +1187,267 @@ export default function App() {
           "ショートカットを起動できませんでした。インストールページを開きますか？",
         );
         if (shouldInstall) {
-          window.location.href = REMINDER_INSTALL_URL;
+          window.location.href = settings.installUrl;
         }
       }
     }, 2000);
 
     window.location.href = url;
+  }, [settings.installUrl]);
+
+  // ショートカットは iOS / iPadOS の Safari からしか起動できない
+  const canRunShortcut = (payloadObject) => {
+    if (!payloadObject.tasks.length) {
+      alert("送信できる項目がありません。");
+      return false;
+    }
+    if (typeof window === "undefined") return false;
+    const ua = window.navigator?.userAgent || "";
+    const isIOS = /iP(hone|od|ad)/.test(ua);
+    if (!isIOS) {
+      alert("iPhone / iPad の Safari からアクセスして実行してください。");
+      return false;
+    }
     return true;
-  }, []);
+  };
 
-  const handleReminderButtonClick = () => {
-    setReminderMenuOpen(false);
-    const exclusions = new Set(
-      REMINDER_EXCLUDED_STATUSES.map((status) => status.trim()),
+  const runReminderShortcut = (payloadObject) => {
+    if (!canRunShortcut(payloadObject)) return false;
+    launchShortcut(
+      shortcutTextUrl(settings.shortcutName, JSON.stringify(payloadObject)),
     );
-    const items = filtered.filter((item) => {
-      const status = (item.状態 || "").trim();
-      return !exclusions.has(status);
-    });
-    runReminderShortcut(items);
+    return true;
   };
 
-  const exportCSV = () => {
+  // JSON をクリップボードに置き、ショートカット側で読み取ってもらう
+  const sendRemindersViaClipboard = async (payloadObject) => {
+    if (!canRunShortcut(payloadObject)) return;
     try {
-      const csv = Papa.unparse(filtered, {
-        columns: ["締切", "教材", "コース名", "状態"],
+      await navigator.clipboard.writeText(JSON.stringify(payloadObject));
+    } catch (e) {
+      console.error(e);
+      alert("クリップボードにコピーできませんでした");
+      return;
+    }
+    launchShortcut(shortcutClipboardUrl(settings.shortcutName));
+  };
+
+  // JSON ファイルを共有シートからショートカットに渡す（共有できなければ保存）
+  const shareReminderFile = (payloadObject) => {
+    const json = JSON.stringify(payloadObject);
+    const file = new File([json], "webclass_reminders.json", {
+      type: "application/json",
+    });
+    if (navigator.canShare?.({ files: [file] })) {
+      navigator
+        .share({ files: [file], title: settings.shortcutName })
+        .catch((e) => console.error(e));
+    } else {
+      downloadBlob(json, file.name, file.type);
+    }
+  };
+
+  const handleReminderButtonClick = () => {
+    setReminderMenuOpen(false);
+    setReminderDialogOpen(true);
+  };
+
+  const sendReminders = (payload, prefs) => {
+    setReminderPrefs(prefs);
+    localStorage.setItem(REMINDER_PREFS_KEY, JSON.stringify(prefs));
+    const mode =
+      prefs.deliveryMode === "auto"
+        ? fitsInSingleUrl(payload, settings.shortcutName)
+          ? "url"
+          : "batches"
+        : prefs.deliveryMode;
+    if (mode === "batches") {
+      // ダイアログを開いたまま、バッチを 1 つずつ送ってもらう
+      setReminderBatches({
+        batches: chunkPayload(
+          payload,
+          settings.shortcutName,
+          prefs.batchSize,
+        ),
+        sent: [],
       });
+      return;
+    }
+    setReminderBatches(null);
+    setReminderDialogOpen(false);
+    if (mode === "clipboard") {
+      sendRemindersViaClipboard(payload);
+    } else if (mode === "file") {
+      shareReminderFile(payload);
+    } else {
+      runReminderShortcut(payload);
+    }
+  };
+
+  const sendReminderBatch = (index) => {
+    if (!runReminderShortcut(reminderBatches.batches[index])) return;
+    setReminderBatches((prev) => ({
+      ...prev,
+      sent: prev.sent.includes(index) ? prev.sent : [...prev.sent, index],
+    }));
+  };
+
+  const exportCSV = (rows = filtered, name = "todo_filtered.csv") => {
+    try {
+      const csv = Papa.unparse(
+        rows.map((r) => ({
+          ...r.extra,
+          ...r,
+          区分: categoryLabel(r.category),
+        })),
+        {
+          columns: ["締切", "教材", "コース名", "状態", "区分", ...extraColumns],
+        },
+      );
       const blob = new Blob([csv], { type: "text/csv" });
-      openPreview(blob, "todo_filtered.csv", "text/csv");
+      openPreview(blob, name, "text/csv");
     } catch (e) {
       console.error(e);
       alert("CSV の生成に失敗しました");
     }
   };
 
+  // 前回の読み込みから追加・変更された行だけを書き出す
+  const exportDiffCSV = () => {
+    exportCSV(
+      data.filter((r) => diffBadges.has(taskKey(r))),
+      "todo_changes.csv",
+    );
+  };
+
+  // iCalendar は書き出し設定ダイアログを経由する
   const exportICS = () => {
-    if (!filtered.length) return;
+    if (!exportableRows.length) return;
+    setIcsDialogOpen(true);
+  };
+
+  const downloadICS = (options) => {
+    setIcsDialogOpen(false);
+    setIcsOptions(options);
+    localStorage.setItem(ICS_OPTIONS_KEY, JSON.stringify(options));
     try {
-      const lines = [
-      "BEGIN:VCALENDAR",
-      "VERSION:2.0",
-      "PRODID:-//WebClass ToDo//JP",
-      "CALSCALE:GREGORIAN",
-      "X-WR-TIMEZONE:Asia/Tokyo",
-      "BEGIN:VTIMEZONE",
-      "TZID:Asia/Tokyo",
-      "BEGIN:STANDARD",
-      "TZOFFSETFROM:+0900",
-      "TZOFFSETTO:+0900",
-      "TZNAME:JST",
-      "DTSTART:19700101T000000",
-      "END:STANDARD",
-      "END:VTIMEZONE",
-    ];
-      const now = DateTime.utc().toFormat("yyyyMMdd'T'HHmmss'Z'");
-      filtered.forEach((r) => {
-        const dt = r.締切.setZone("Asia/Tokyo");
-        const dtStr = dt.toFormat("yyyyMMdd'T'HHmmss");
-        lines.push(
-          "BEGIN:VEVENT",
-          `UID:${uuidv4()}@webclass`,
-          `DTSTAMP:${now}`,
-          `DTSTART;TZID=Asia/Tokyo:${dtStr}`,
-          `SUMMARY:${r.教材} (${r.コース名})`,
-          "END:VEVENT",
-        );
-      });
-      lines.push("END:VCALENDAR");
-      downloadBlob(lines.join("\r\n"), "webclass_todo.ics", "text/calendar");
+      const plan = planCalendarUpdate(exportableRows, data, calendarExports);
+      downloadBlob(
+        buildICS(plan, options, zone),
+        "webclass_todo.ics",
+        "text/calendar",
+      );
+      // 取り消しを書き出さない場合は、消えた課題の記録を次回に持ち越す
+      setCalendarExports(
+        options.cancelRemoved ? plan.record : { ...calendarExports, ...plan.record },
+      );
     } catch (e) {
       console.error(e);
       alert("iCalendar の生成に失敗しました");
     }
   };
 
-  const exportTodoist = () => {
+  // Todoist の「1 コースだけ」で選べるコース
+  const todoistCourses = [...new Set(exportableRows.map((r) => r.コース名))];
+
+  const exportTodoist = (requested = todoistOptions) => {
+    // 保存していたコースが今の抽出結果に無ければ、最初のコースに切り替える
+    const options =
+      requested.layout === "course" &&
+      !todoistCourses.includes(requested.course)
+        ? { ...requested, course: todoistCourses[0] || "" }
+        : requested;
+    if (options !== requested) {
+      setTodoistOptions(options);
+      localStorage.setItem(TODOIST_OPTIONS_KEY, JSON.stringify(options));
+    }
     try {
-      const recs = filtered.map((r) => ({
-        TYPE: "task",
-        CONTENT: `${r.教材} (${r.コース名})`,
-        DATE: r.締切.toFormat("yyyy-MM-dd HH:mm"),
-        DATE_LANG: "ja",
-        TIMEZONE: "Asia/Tokyo",
-      }));
-      const csv = Papa.unparse(recs);
+      const recs = buildTodoistRecords(exportableRows, options, zone);
+      if (!recs.length) {
+        alert("書き出す課題がありません");
+        return;
+      }
+      const csv = Papa.unparse(recs, { columns: TODOIST_COLUMNS });
       const blob = new Blob([csv], { type: "text/csv" });
-      openPreview(blob, "todoist_template.csv", "text/csv");
+      // プレビュー上で設定を変えられるよう todoist フラグを付ける
+      openPreview(blob, todoistFileName(options), "text/csv", { todoist: true });
     } catch (e) {
       console.error(e);
       alert("Todoist CSV の生成に失敗しました");
     }
   };
 
+  const changeTodoistOptions = (options) => {
+    setTodoistOptions(options);
+    localStorage.setItem(TODOIST_OPTIONS_KEY, JSON.stringify(options));
+    exportTodoist(options);
+  };
+
   const exportPNGList = () => {
     const wrapper = buildImageWrapper(true, filtered, tableRef);
     captureAndPreview(wrapper, "webclass_todo_mobile.png", openPreview);
   };
 
+  const changeImageOptions = (options) => {
+    setImageOptions(options);
+    localStorage.setItem(IMAGE_OPTIONS_KEY, JSON.stringify(options));
+  };
+
+  const printPlanner = (options) => {
+    setPrintDialogOpen(false);
+    setPrintOptions(options);
+    localStorage.setItem(PRINT_OPTIONS_KEY, JSON.stringify(options));
+    setPrintJob(options);
+  };
+
   const exportPNGTable = (isMobile) => {
     const name = isMobile
       ? "webclass_todo_mobile.png"
       : "webclass_todo_table.png";
-    const wrapper = buildImageWrapper(isMobile, filtered, tableRef);
-    captureAndPreview(wrapper, name, openPreview);
+    // カレンダー・負荷の表示中はテーブルが無いため、表示中のものを写す
+    if (view === "calendar" && !isMobile) {
+      captureAndPreview(
+        buildImageWrapper(false, filtered, calendarRef, ".calendar__body"),
+        "webclass_todo_calendar.png",
+        openPreview,
+      );
+    } else if (view === "dashboard" && !isMobile) {
+      captureAndPreview(
+        buildImageWrapper(false, filtered, dashboardRef, ".workload"),
+        "webclass_todo_workload.png",
+        openPreview,
+      );
+    } else {
+      captureAndPreview(
+        buildImageWrapper(isMobile, filtered, tableRef),
+        name,
+        openPreview,
+      );
+    }
+  };
+
+  // 並び替え・検索ができる 1 ファイルの HTML として書き出す
+  const exportHTML = () => {
+    try {
+      const html = buildDashboardHTML(filtered, {
+        zone,
+        generatedAt: now,
+        sortField,
+        sortAsc,
+      });
+      const blob = new Blob([html], { type: "text/html" });
+      openPreview(blob, "webclass_todo.html", "text/html");
+    } catch (e) {
+      console.error(e);
+      alert("HTML の生成に失敗しました");
+    }
   };
 
   const shareToReminders = () => {
     try {
       if (!navigator.canShare || !navigator.canShare({ files: [] })) return;
       const { error, value } = createEvents({
-        events: filtered.map((r) => ({
+        events: exportableRows.map((r) => ({
           start: [
             r.締切.year,
             r.締切.month,
@@ -698,62 +1471,233 @@ export default function App() {
     }
   };
 
+  // 今の抽出条件の URL をコピーする（withTasks なら抽出結果のタスクも載せる）
+  const copyShareLink = async (withTasks) => {
+    const url = new URL(window.location.href);
+    url.hash = withTasks ? await encodeSnapshot(filtered) : "";
+    try {
+      await navigator.clipboard.writeText(url.href);
+      alert("リンクをコピーしました");
+    } catch (e) {
+      console.error(e);
+      window.prompt("このリンクをコピーしてください", url.href);
+    }
+  };
+
+  const applyNotifyPrefs = (next) => {
+    setNotifyPrefs(next);
+    saveNotifyPrefs(next);
+    setNotificationDialogOpen(false);
+  };
+
+  const testNotification = () => {
+    const [next] = notifiableRows
+      .filter((r) => r.締切 > now)
+      .sort((a, b) => a.締切.toMillis() - b.締切.toMillis());
+    const row = next || {
+      教材: "テスト通知",
+      コース名: "WebClass To-Do",
+      締切: now.plus({ hours: 1 }),
+    };
+    showDeadlineNotification({ row, tag: "test" }, now, zone).catch((e) => {
+      console.error(e);
+      alert("通知を表示できませんでした");
+    });
+  };
+
+  // 設定を保存する（抽出条件の既定値は次の条件リセットから使う）
+  const applySettings = (next) => {
+    setSettings(next);
+    saveSettings(next);
+    setSettingsOpen(false);
+  };
+
+  const exportSettings = (value) => {
+    downloadBlob(
+      settingsToJSON(value),
+      "webclass_todo_settings.json",
+      "application/json",
+    );
+  };
+
+  // 今の抽出条件（ビューの保存・選択中のビューの判定用）
+  const currentView = captureView(
+    "",
+    {
+      days: daysFilter,
+      startDate,
+      hiddenCategories,
+      keyword,
+      sortField,
+      sortAsc,
+      hideDone,
+      showHidden,
+    },
+    today,
+  );
+
+  const updateViews = (next) => {
+    setSavedViews(next);
+    saveViews(next);
+  };
+
+  const saveView = (name) => {
+    updateViews({
+      ...savedViews,
+      views: [
+        ...savedViews.views.filter((v) => v.name !== name),
+        { ...currentView, name },
+      ],
+    });
+  };
+
+  const deleteView = (name) => {
+    updateViews({
+      views: savedViews.views.filter((v) => v.name !== name),
+      defaultView:
+        savedViews.defaultView === name ? null : savedViews.defaultView,
+    });
+  };
+
+  const exportViews = () => {
+    downloadBlob(
+      viewsToJSON(savedViews),
+      "webclass_todo_views.json",
+      "application/json",
+    );
+  };
+
+  const importViews = async (file) => {
+    updateViews(mergeViewsJSON(await file.text(), savedViews));
+  };
+
   // ファイル選択＆抽出結果をリセット
   const clearFile = () => {
-    setData([]);
+    setSources([]);
+    setImportDiff(null);
+    setPendingImports([]);
 
     // 抽出条件のリセット
     resetFilters();
 
-    sessionStorage.removeItem("webclass-todo");
-
-    const state = { data: [], filters: {
-      days: DEFAULT_SPAN_DAYS,
-      startDate: TODAY,
-      endDate: DateTime.fromISO(TODAY).plus({ days: DEFAULT_SPAN_DAYS }).toISODate(),
-      statuses: [],
-      keyword: "",
-      sortField: "締切",
-      sortAsc: true,
-    }};
-    window.history.replaceState(state, "");
-    prevStateRef.current = JSON.stringify(state);
-
     if (fileInputRef.current) {
       fileInputRef.current.value = "";
     }
   };
 
+  // 端末に保存したデータをすべて削除
+  const deleteLocalData = async () => {
+    if (
+      !window.confirm(
+        "この端末に保存したタスク・取り込み履歴・抽出条件・列の割り当てをすべて削除しますか？",
+      )
+    )
+      return;
+    // 削除中に保存し直さないよう、いったん永続化を止める
+    setRestored(false);
+    clearFile();
+    setImportHistory([]);
+    setUserData({});
+    setCalendarExports({});
+    try {
+      await clearAllData();
+    } catch (e) {
+      console.error(e);
+      alert(e.message);
+    }
+    setSavedViews(loadViews());
+    setNotifyPrefs(loadNotifyPrefs());
+    setRestored(true);
+  };
+
+  // 「その他の操作」の書き出しボタン（設定で選んだ形式を先頭にする）
+  const exportActions = [
+    { format: "csv", label: "CSV ダウンロード", run: () => exportCSV() },
+    { format: "ics", label: "iCalendar (.ics) ダウンロード", run: exportICS },
+    {
+      format: "todoist",
+      label: "Todoist CSV ダウンロード",
+      run: () => exportTodoist(),
+    },
+    {
+      format: "png-table",
+      label: "PNG（テーブル）",
+      run: () => exportPNGTable(false),
+    },
+    { format: "png-list", label: "PNG（縦リスト）", run: exportPNGList },
+    {
+      format: "png-template",
+      label: "PNG（ロック画面・ストーリー）",
+      run: () => setImageDialogOpen(true),
+    },
+    { format: "html", label: "HTML（オフライン閲覧用）", run: exportHTML },
+    {
+      format: "print",
+      label: "印刷 / PDF保存",
+      run: () => setPrintDialogOpen(true),
+    },
+  ].sort(
+    (a, b) =>
+      (b.format === settings.exportFormat) -
+      (a.format === settings.exportFormat),
+  );
+
   // Render
   return (
     <>
       <div className="container">
         <header>
           <h1 onClick={clearFile} style={{ cursor: "pointer" }}>📋 WebClass To-Do</h1>
+          <button type="button" onClick={() => setSettingsOpen(true)}>
+            ⚙️ 設定
+          </button>
+          <button type="button" onClick={() => setNotificationDialogOpen(true)}>
+            🔔 通知
+          </button>
           {/* ファイル解除ボタンはデータ読み込み後だけ表示 */}
-          {data.length > 0 && (
-            <button onClick={clearFile} style={{ marginLeft: "1rem" }}>
-              🚪 ファイル選択解除
-            </button>
+          {sources.length > 0 && (
+            <>
+              <label className="button">
+                ➕ CSV を追加
+                <input
+                  type="file"
+                  accept=".csv"
+                  multiple
+                  className="visually-hidden"
+                  onChange={handleFiles}
+                />
+              </label>
+              <button onClick={clearFile}>🚪 ファイル選択解除</button>
+            </>
           )}
         </header>
-        {!data.length && (
+        {isRestored && !sources.length && (
           <>
             <input
               ref={fileInputRef}
               type="file"
               accept=".csv"
-              onChange={handleFile}
+              multiple
+              onChange={handleFiles}
             />
-            <p>課題実施状況一覧のCSVを選択してください。</p>
+            <p>課題実施状況一覧のCSVを選択してください（複数選択可）。</p>
             <p>
               <a href="./usage.html" target="_blank" rel="noopener" className="button">
                 使い方を見る
               </a>
             </p>
+            <p>
+              <button
+                type="button"
+                className="link-button"
+                onClick={deleteLocalData}
+              >
+                この端末に保存したデータを削除
+              </button>
+            </p>
           </>
         )}
-        {data.length > 0 && (
+        {sources.length > 0 && (
           <>
             <aside className="sidebar">
               <details
@@ -763,6 +1707,19 @@ export default function App() {
               >
                 <summary>🔍 抽出条件</summary>
                 <div className="filter-fields">
+                  <ViewPicker
+                    views={savedViews.views}
+                    defaultView={savedViews.defaultView}
+                    current={currentView}
+                    onApply={(v) => applyFilters(viewToFilters(v, today))}
+                    onSave={saveView}
+                    onDelete={deleteView}
+                    onSetDefault={(name) =>
+                      updateViews({ ...savedViews, defaultView: name })
+                    }
+                    onExport={exportViews}
+                    onImport={importViews}
+                  />
                   <label htmlFor="daysFilter">期間を指定（日）:</label>
                   <div className="number-spinner">
                     <button
@@ -803,33 +1760,59 @@ export default function App() {
                       onChange={(e) => setEndDate(e.target.value)}
                     />
                   </label>
-                  <label>
-                    状態で絞り込み:
-                    <select
-                      multiple
-                      value={statuses}
-                      onChange={(e) =>
-                        setStatuses(
-                          Array.from(e.target.selectedOptions, (o) => o.value),
-                        )
-                      }
-                    >
-                      {[...new Set(data.map((r) => r.状態))].map((s) => (
-                        <option key={s} value={s}>
-                          {s}
-                        </option>
-                      ))}
-                    </select>
-                  </label>
+                  <fieldset className="category-filter">
+                    <legend>状態で絞り込み:</legend>
+                    {STATUS_CATEGORIES.map(({ value, label }) => (
+                      <label key={value} className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={!hiddenCategories.includes(value)}
+                          onChange={() =>
+                            setHiddenCategories((prev) =>
+                              prev.includes(value)
+                                ? prev.filter((c) => c !== value)
+                                : [...prev, value],
+                            )
+                          }
+                        />
+                        {label}（{categoryCounts[value]}）
+                      </label>
+                    ))}
+                  </fieldset>
                   <label>
                     キーワード:
                     <input
                       type="text"
                       placeholder="例: Python"
                       value={keyword}
+                      aria-invalid={!!query.error}
+                      aria-describedby={queryHintId}
                       onChange={(e) => setKeyword(e.target.value)}
                     />
                   </label>
+                  <p
+                    id={queryHintId}
+                    className={`query-hint ${query.error ? "is-error" : ""}`}
+                    role={query.error ? "alert" : undefined}
+                  >
+                    {query.error || QUERY_HINT}
+                  </p>
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={hideDone}
+                      onChange={(e) => setHideDone(e.target.checked)}
+                    />
+                    自分で完了にしたものを隠す
+                  </label>
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={showHidden}
+                      onChange={(e) => setShowHidden(e.target.checked)}
+                    />
+                    非表示・スヌーズ中のものも表示
+                  </label>
                   <button
                     type="button"
                     onClick={resetFilters}
@@ -839,68 +1822,288 @@ export default function App() {
                   </button>
                 </div>
               </details>
+              <details className="filter-accordion">
+                <summary>💾 保存データ</summary>
+                <div className="filter-fields">
+                  <p className="storage-note">
+                    読み込んだタスクと抽出条件はこの端末のブラウザに保存され、タブを閉じても次回そのまま再開できます。
+                  </p>
+                  {importHistory.length > 0 && (
+                    <ol className="import-history">
+                      {importHistory.map((h) => (
+                        <li key={h.at}>
+                          <time dateTime={h.at}>
+                            {DateTime.fromISO(h.at).toFormat("MM/dd HH:mm")}
+                          </time>{" "}
+                          {h.files.join(", ")}（計 {h.total} 件・追加{" "}
+                          {h.added}・削除 {h.removed}・変更 {h.changed}）
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                  <button
+                    type="button"
+                    onClick={deleteLocalData}
+                    className="reset-btn"
+                  >
+                    🗑 ローカルデータをすべて削除
+                  </button>
+                </div>
+              </details>
             </aside>
             <main className="main">
               <div className="metrics">
                 <span>抽出件数: {filtered.length}</span>
+                {STATUS_CATEGORIES.map(
+                  ({ value, label }) =>
+                    filteredCounts[value] > 0 && (
+                      <span
+                        key={value}
+                        className={`status-badge status-badge--${value}`}
+                      >
+                        {label}: {filteredCounts[value]}
+                      </span>
+                    ),
+                )}
+                {URGENCY_LEVELS.map(({ value, label }) => {
+                  const count = filtered.filter(
+                    (r) => urgencyOf(r) === value,
+                  ).length;
+                  return (
+                    count > 0 && (
+                      <span key={value} className={`urgency--${value}`}>
+                        <span className="countdown">
+                          {label}: {count}
+                        </span>
+                      </span>
+                    )
+                  );
+                })}
                 {nextDeadline && (
                   <span>次の締切: {nextDeadline.toFormat("yyyy-MM-dd")}</span>
                 )}
               </div>
-              <div
-                className="table-container"
-                ref={tableRef}
-                style={{ overflowX: "auto" }}
-              >
-                <table style={{ fontSize: "0.875rem", lineHeight: "1.4" }}>
-                  <thead>
-                    <tr>
-                      <th onClick={() => handleSort("締切")} className="sortable">
-                        締切
-                        {sortField === "締切" && (
-                          <span className="arrow">{sortAsc ? "▲" : "▼"}</span>
-                        )}
-                      </th>
-                      <th onClick={() => handleSort("教材")} className="sortable">
-                        教材
-                        {sortField === "教材" && (
-                          <span className="arrow">{sortAsc ? "▲" : "▼"}</span>
-                        )}
-                      </th>
-                      <th onClick={() => handleSort("コース名")} className="sortable">
-                        コース名
-                        {sortField === "コース名" && (
-                          <span className="arrow">{sortAsc ? "▲" : "▼"}</span>
-                        )}
-                      </th>
-                      <th onClick={() => handleSort("状態")} className="sortable">
-                        状態
-                        {sortField === "状態" && (
-                          <span className="arrow">{sortAsc ? "▲" : "▼"}</span>
-                        )}
-                      </th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {filtered.length === 0 ? (
+              <ul className="import-info">
+                {sources.map(({ name, tasks, info }) => (
+                  <li key={name}>
+                    {name || "（復元したデータ）"}: {tasks.length} 件
+                    {info && (
+                      <>
+                        ・文字コード {ENCODING_LABELS[info.encoding]}・ヘッダー行{" "}
+                        {info.headerRow} 行目
+                        <button
+                          type="button"
+                          className="link-button"
+                          onClick={() => setPendingImports([info])}
+                        >
+                          列の割り当てを変更
+                        </button>
+                      </>
+                    )}
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => removeSource(name)}
+                    >
+                      取り除く
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              {importDiff && (
+                <DiffPanel
+                  diff={importDiff}
+                  onExport={exportDiffCSV}
+                  onDismiss={() => setImportDiff(null)}
+                />
+              )}
+              {skippedRows.length > 0 && (
+                <details className="import-report">
+                  <summary>
+                    ⚠️ 締切を解釈できず取り込めなかった行: {skippedRows.length}{" "}
+                    件
+                  </summary>
+                  <table>
+                    <thead>
                       <tr>
-                        <td colSpan={4} style={{ textAlign: "center" }}>
-                          該当するデータがありません
-                        </td>
+                        <th>ファイル</th>
+                        <th>行</th>
+                        <th>締切の値</th>
+                        <th>理由</th>
                       </tr>
-                    ) : (
-                      filtered.map((r, i) => (
-                        <tr key={i}>
-                          <td>{r.締切.toFormat("yyyy-MM-dd HH:mm")}</td>
-                          <td>{r.教材}</td>
-                          <td>{r.コース名}</td>
-                          <td>{r.状態}</td>
+                    </thead>
+                    <tbody>
+                      {skippedRows.map((s) => (
+                        <tr key={`${s.fileName}:${s.line}`}>
+                          <td>{s.fileName}</td>
+                          <td>{s.line}</td>
+                          <td>{s.value}</td>
+                          <td>{s.reason}</td>
                         </tr>
-                      ))
-                    )}
-                  </tbody>
-                </table>
+                      ))}
+                    </tbody>
+                  </table>
+                </details>
+              )}
+              {overdueRows.length > 0 && (
+                <details className="overdue-section" open>
+                  <summary>
+                    ⏰ 期限切れ（{overdueRows.length} 件）
+                  </summary>
+                  {overdueRows.map((r, i) => (
+                    <div key={i} className={`list-item ${rowClass(r)}`}>
+                      <div className="list-title">
+                        {r.教材}
+                        {renderDiffBadges(r)}
+                      </div>
+                      <div className="list-meta">
+                        <span>
+                          {r.締切.toFormat("yyyy-MM-dd HH:mm")}
+                          {renderCountdown(r)}
+                        </span>
+                        <span>{r.コース名}</span>
+                        <span>
+                          {r.状態}
+                          {renderCategory(r)}
+                        </span>
+                      </div>
+                      {renderLocalControls(r)}
+                    </div>
+                  ))}
+                </details>
+              )}
+              <div className="tabs" role="tablist">
+                <button
+                  type="button"
+                  role="tab"
+                  aria-selected={view === "list"}
+                  className={view === "list" ? "active" : ""}
+                  onClick={() => setView("list")}
+                >
+                  一覧
+                </button>
+                <button
+                  type="button"
+                  role="tab"
+                  aria-selected={view === "calendar"}
+                  className={view === "calendar" ? "active" : ""}
+                  onClick={() => setView("calendar")}
+                >
+                  カレンダー
+                </button>
+                <button
+                  type="button"
+                  role="tab"
+                  aria-selected={view === "dashboard"}
+                  className={view === "dashboard" ? "active" : ""}
+                  onClick={() => setView("dashboard")}
+                >
+                  負荷
+                </button>
               </div>
+              {view === "calendar" ? (
+                <div ref={calendarRef}>
+                  <CalendarView
+                    rows={calendarRows}
+                    zone={zone}
+                    today={today}
+                    startDate={startDate}
+                    endDate={endDate}
+                    mode={calendarMode}
+                    onModeChange={setCalendarMode}
+                    onSelectRange={selectRange}
+                    rowClass={rowClass}
+                    renderCountdown={renderCountdown}
+                  />
+                </div>
+              ) : view === "dashboard" ? (
+                <div ref={dashboardRef}>
+                  <WorkloadDashboard
+                    rows={filtered}
+                    startDate={startDate}
+                    endDate={endDate}
+                    zone={zone}
+                    onSelectRange={selectRange}
+                  />
+                </div>
+              ) : (
+                <div
+                  className="table-container"
+                  ref={tableRef}
+                  style={{ overflowX: "auto" }}
+                >
+                  <table style={{ fontSize: "0.875rem", lineHeight: "1.4" }}>
+                    <thead>
+                      <tr>
+                        <th onClick={() => handleSort("締切")} className="sortable">
+                          締切
+                          {sortField === "締切" && (
+                            <span className="arrow">{sortAsc ? "▲" : "▼"}</span>
+                          )}
+                        </th>
+                        <th onClick={() => handleSort("教材")} className="sortable">
+                          教材
+                          {sortField === "教材" && (
+                            <span className="arrow">{sortAsc ? "▲" : "▼"}</span>
+                          )}
+                        </th>
+                        <th onClick={() => handleSort("コース名")} className="sortable">
+                          コース名
+                          {sortField === "コース名" && (
+                            <span className="arrow">{sortAsc ? "▲" : "▼"}</span>
+                          )}
+                        </th>
+                        <th onClick={() => handleSort("状態")} className="sortable">
+                          状態
+                          {sortField === "状態" && (
+                            <span className="arrow">{sortAsc ? "▲" : "▼"}</span>
+                          )}
+                        </th>
+                        {extraColumns.map((c) => (
+                          <th key={c}>{c}</th>
+                        ))}
+                        {showSource && <th>ファイル</th>}
+                        <th>自分用</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {filtered.length === 0 ? (
+                        <tr>
+                          <td
+                            colSpan={5 + extraColumns.length + (showSource ? 1 : 0)}
+                            style={{ textAlign: "center" }}
+                          >
+                            該当するデータがありません
+                          </td>
+                        </tr>
+                      ) : (
+                        filtered.map((r, i) => (
+                          <tr key={i} className={rowClass(r)}>
+                            <td>
+                              {r.締切.toFormat("yyyy-MM-dd HH:mm")}
+                              {renderCountdown(r)}
+                            </td>
+                            <td>
+                              {r.教材}
+                              {renderDiffBadges(r)}
+                            </td>
+                            <td>{r.コース名}</td>
+                            <td>
+                              {r.状態}
+                              {renderCategory(r)}
+                            </td>
+                            {extraColumns.map((c) => (
+                              <td key={c}>{r.extra?.[c]}</td>
+                            ))}
+                            {showSource && <td>{r.source}</td>}
+                            <td>{renderLocalControls(r)}</td>
+                          </tr>
+                        ))
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              )}
               <div className="button-group">
                 <div className="button-group__primary-row">
                   <div className="split-button" ref={reminderMenuRef}>
@@ -926,7 +2129,7 @@ export default function App() {
                     {isReminderMenuOpen && (
                       <div className="split-dropdown" role="menu">
                         <a
-                          href={REMINDER_INSTALL_URL}
+                          href={settings.installUrl}
                           target="_blank"
                           rel="noopener noreferrer"
                           className="button"
@@ -955,48 +2158,183 @@ export default function App() {
                   }`}
                   aria-hidden={!isActionPanelOpen}
                 >
-                  <button onClick={exportCSV}>CSV ダウンロード</button>
-                  <button onClick={exportICS}>
-                    iCalendar (.ics) ダウンロード
-                  </button>
-                  <button onClick={exportTodoist}>
-                    Todoist CSV ダウンロード
-                  </button>
-                  <button onClick={() => exportPNGTable(false)}>
-                    PNG（テーブル）
+                  {exportActions.map(({ format, label, run }) => (
+                    <button
+                      key={format}
+                      onClick={run}
+                      className={
+                        format === settings.exportFormat ? "primary" : ""
+                      }
+                    >
+                      {label}
+                    </button>
+                  ))}
+                  <button onClick={() => copyShareLink(false)}>
+                    🔗 条件のリンクをコピー
                   </button>
-                  <button onClick={exportPNGList}>PNG（縦リスト）</button>
+                  {canSnapshot() && (
+                    <button onClick={() => copyShareLink(true)}>
+                      🔗 タスク付きのリンクをコピー
+                    </button>
+                  )}
                 </div>
               </div>
-              <div className="list-container">
-                {Object.entries(
-                  filtered.reduce((acc, r) => {
-                    const d = r.締切.toFormat("yyyy-MM-dd");
-                    acc[d] = acc[d] ? [...acc[d], r] : [r];
-                    return acc;
-                  }, {})
-                )
-                  .sort(([a], [b]) => (a < b ? -1 : 1))
-                  .map(([date, rows]) => (
-                    <div key={date} className="list-day">
-                      <h3 className="list-date">{date}</h3>
-                      {rows.map((r, i) => (
-                        <div key={i} className="list-item">
-                          <div className="list-title">{r.教材}</div>
-                          <div className="list-meta">
-                            <span>{r.締切.toFormat("HH:mm")}</span>
-                            <span>{r.コース名}</span>
-                            <span>{r.状態}</span>
+              {view === "list" && (
+                <div className="list-container">
+                  {Object.entries(
+                    filtered.reduce((acc, r) => {
+                      const d = r.締切.toFormat("yyyy-MM-dd");
+                      acc[d] = acc[d] ? [...acc[d], r] : [r];
+                      return acc;
+                    }, {})
+                  )
+                    .sort(([a], [b]) => (a < b ? -1 : 1))
+                    .map(([date, rows]) => (
+                      <div key={date} className="list-day">
+                        <h3 className="list-date">{date}</h3>
+                        {rows.map((r, i) => (
+                          <div key={i} className={`list-item ${rowClass(r)}`}>
+                            <div className="list-title">
+                              {r.教材}
+                              {renderDiffBadges(r)}
+                            </div>
+                            <div className="list-meta">
+                              <span>
+                                {r.締切.toFormat("HH:mm")}
+                                {renderCountdown(r)}
+                              </span>
+                              <span>{r.コース名}</span>
+                              <span>
+                                {r.状態}
+                                {renderCategory(r)}
+                              </span>
+                              {extraColumns.map(
+                                (c) =>
+                                  r.extra?.[c] && (
+                                    <span key={c}>
+                                      {c}: {r.extra[c]}
+                                    </span>
+                                  ),
+                              )}
+                              {showSource && <span>📄 {r.source}</span>}
+                            </div>
+                            {renderLocalControls(r)}
                           </div>
-                        </div>
-                      ))}
+                        ))}
+                      </div>
+                    ))}
+                </div>
+              )}
+              {noDeadlineRows.length > 0 && (
+                <section className="no-deadline">
+                  <h3 className="list-date">
+                    期限なし（{noDeadlineRows.length} 件）
+                  </h3>
+                  {noDeadlineRows.map((r, i) => (
+                    <div key={i} className={`list-item ${rowClass(r)}`}>
+                      <div className="list-title">
+                        {r.教材}
+                        {renderDiffBadges(r)}
+                      </div>
+                      <div className="list-meta">
+                        <span>{r.コース名}</span>
+                        <span>
+                          {r.状態}
+                          {renderCategory(r)}
+                        </span>
+                      </div>
+                      {renderLocalControls(r)}
                     </div>
                   ))}
-              </div>
+                </section>
+              )}
             </main>
           </>
         )}
       </div>
+      {pendingImports.length > 0 && (
+        <ImportWizard
+          key={pendingImports[0].fileName}
+          fileName={pendingImports[0].fileName}
+          fields={pendingImports[0].fields}
+          rows={pendingImports[0].rows}
+          initialMapping={pendingImports[0].mapping}
+          onConfirm={confirmImport}
+          onCancel={cancelImport}
+        />
+      )}
+      {isReminderDialogOpen && (
+        <ReminderDialog
+          rows={exportableRows}
+          initialPrefs={reminderPrefs}
+          zone={zone}
+          batchProgress={reminderBatches}
+          onSend={sendReminders}
+          onSendBatch={sendReminderBatch}
+          onResetBatches={() => setReminderBatches(null)}
+          onCancel={() => setReminderDialogOpen(false)}
+        />
+      )}
+      {isNotificationDialogOpen && (
+        <NotificationDialog
+          rows={notifiableRows}
+          initialPrefs={notifyPrefs}
+          now={now}
+          zone={zone}
+          onSave={applyNotifyPrefs}
+          onTest={testNotification}
+          onCancel={() => setNotificationDialogOpen(false)}
+        />
+      )}
+      {isImageDialogOpen && (
+        <ImageTemplateDialog
+          rows={exportableRows.filter((r) => r.category !== "done")}
+          zone={zone}
+          now={now}
+          initialOptions={imageOptions}
+          onOptionsChange={changeImageOptions}
+          onDownload={saveFile}
+          onCancel={() => setImageDialogOpen(false)}
+        />
+      )}
+      {isPrintDialogOpen && (
+        <PrintDialog
+          weekCount={planner.weeks.length}
+          initialOptions={printOptions}
+          onPrint={printPlanner}
+          onCancel={() => setPrintDialogOpen(false)}
+        />
+      )}
+      {printJob && (
+        <PrintPlanner
+          weeks={planner.weeks}
+          noDeadline={planner.noDeadline}
+          options={printJob}
+          zone={zone}
+          now={now}
+          onDone={() => setPrintJob(null)}
+        />
+      )}
+      {isSettingsOpen && (
+        <SettingsDialog
+          initialSettings={settings}
+          statuses={[...new Set(data.map((r) => r.状態).filter(Boolean))]}
+          onSave={applySettings}
+          onExport={exportSettings}
+          onCancel={() => setSettingsOpen(false)}
+        />
+      )}
+      {isIcsDialogOpen && (
+        <IcsExportDialog
+          count={exportableRows.length}
+          removedCount={
+            planCalendarUpdate([], data, calendarExports).cancelled.length
+          }
+          initialOptions={icsOptions}
+          onExport={downloadICS}
+          onCancel={() => setIcsDialogOpen(false)}
+        />
+      )}
       {preview && (
         <div className="modal-overlay" onClick={closePreview}>
           <div className="modal" onClick={(e) => e.stopPropagation()}>
@@ -1011,26 +2349,35 @@ export default function App() {
                 }}
               />
             ) : preview.mime === "text/csv" ? (
-              <div className="csv-preview">
-                <table>
-                  <thead>
-                    <tr>
-                      {preview.rows[0].map((h, i) => (
-                        <th key={i}>{h}</th>
-                      ))}
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {preview.rows.slice(1).map((row, i) => (
-                      <tr key={i}>
-                        {row.map((cell, j) => (
-                          <td key={j}>{cell}</td>
+              <>
+                {preview.todoist && (
+                  <TodoistOptions
+                    options={todoistOptions}
+                    courses={todoistCourses}
+                    onChange={changeTodoistOptions}
+                  />
+                )}
+                <div className="csv-preview">
+                  <table>
+                    <thead>
+                      <tr>
+                        {(preview.rows[0] || []).map((h, i) => (
+                          <th key={i}>{h}</th>
                         ))}
                       </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
+                    </thead>
+                    <tbody>
+                      {preview.rows.slice(1).map((row, i) => (
+                        <tr key={i}>
+                          {row.map((cell, j) => (
+                            <td key={j}>{cell}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
             ) : (
               <iframe
                 src={preview.url}
@@ -0,0 +1,204 @@
+import React, { useState } from "react";
+import { DateTime } from "luxon";
+import { taskKey } from "./tasks";
+
+const WEEKDAYS = ["月", "火", "水", "木", "金", "土", "日"];
+// 月表示で 1 日に並べる件数（残りは「他 n 件」）
+const MONTH_CELL_LIMIT = 3;
+
+/**
+ * 締切のカレンダー表示（月・週）
+ * 日付をクリックするとその日に、「この期間を抽出」で表示中の月・週に抽出期間を絞り込む
+ * @param {{
+ *   rows: Object[],
+ *   zone: string,
+ *   today: string,
+ *   startDate: string,
+ *   endDate: string,
+ *   mode: "month"|"week",
+ *   onModeChange: (mode: "month"|"week") => void,
+ *   onSelectRange: (startDate: string, days: number) => void,
+ *   rowClass: (r: Object) => string,
+ *   renderCountdown: (r: Object) => React.ReactNode,
+ * }} props
+ */
+export default function CalendarView({
+  rows,
+  zone,
+  today,
+  startDate,
+  endDate,
+  mode,
+  onModeChange,
+  onSelectRange,
+  rowClass,
+  renderCountdown,
+}) {
+  // 表示中の期間の基準日（開始日のある月・週から始める）
+  const [anchor, setAnchor] = useState(() =>
+    DateTime.fromISO(startDate, { zone }),
+  );
+
+  const unit = mode === "month" ? "month" : "week";
+  const step = mode === "month" ? { months: 1 } : { weeks: 1 };
+  const periodStart = anchor.startOf(unit).startOf("week");
+  const periodEnd = anchor.endOf(unit).endOf("week");
+  const days = [];
+  for (let d = periodStart; d <= periodEnd; d = d.plus({ days: 1 })) {
+    days.push(d);
+  }
+
+  // 締切日ごとの課題（時刻順）
+  const byDay = new Map();
+  rows
+    .filter((r) => r.締切 >= periodStart && r.締切 <= periodEnd)
+    .sort((a, b) => a.締切.toMillis() - b.締切.toMillis())
+    .forEach((r) => {
+      const key = r.締切.setZone(zone).toISODate();
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(r);
+    });
+
+  const rangeStart = DateTime.fromISO(startDate, { zone });
+  const rangeEnd = DateTime.fromISO(endDate, { zone });
+  const inRange = (d) => d.endOf("day") >= rangeStart && d < rangeEnd;
+
+  const title =
+    mode === "month"
+      ? anchor.toFormat("yyyy年M月")
+      : `${periodStart.toFormat("yyyy年M月d日")} – ${periodEnd.toFormat(
+          "M月d日",
+        )}`;
+
+  const renderTask = (r) => (
+    <li
+      key={taskKey(r)}
+      className={`calendar__task ${rowClass(r)}`}
+      title={`${r.締切.toFormat("HH:mm")} ${r.教材}（${r.コース名}）`}
+    >
+      <span className="calendar__time">{r.締切.toFormat("HH:mm")}</span>
+      <span className="calendar__title">{r.教材}</span>
+      {mode === "week" && (
+        <>
+          <span className="calendar__course">{r.コース名}</span>
+          {renderCountdown(r)}
+        </>
+      )}
+    </li>
+  );
+
+  return (
+    <div className={`calendar calendar--${mode}`}>
+      <div className="calendar__toolbar">
+        <button
+          type="button"
+          aria-label={mode === "month" ? "前の月" : "前の週"}
+          onClick={() => setAnchor((a) => a.minus(step))}
+        >
+          ‹
+        </button>
+        <button
+          type="button"
+          onClick={() => setAnchor(DateTime.fromISO(today, { zone }))}
+        >
+          今日
+        </button>
+        <button
+          type="button"
+          aria-label={mode === "month" ? "次の月" : "次の週"}
+          onClick={() => setAnchor((a) => a.plus(step))}
+        >
+          ›
+        </button>
+        <button
+          type="button"
+          onClick={() =>
+            onSelectRange(
+              (mode === "month"
+                ? anchor.startOf("month")
+                : periodStart
+              ).toISODate(),
+              mode === "month" ? anchor.daysInMonth : 7,
+            )
+          }
+        >
+          この期間を抽出
+        </button>
+        <div className="calendar__modes" role="group" aria-label="表示単位">
+          <button
+            type="button"
+            className={mode === "month" ? "active" : ""}
+            aria-pressed={mode === "month"}
+            onClick={() => onModeChange("month")}
+          >
+            月
+          </button>
+          <button
+            type="button"
+            className={mode === "week" ? "active" : ""}
+            aria-pressed={mode === "week"}
+            onClick={() => onModeChange("week")}
+          >
+            週
+          </button>
+        </div>
+      </div>
+      <div className="calendar__body">
+        <h3 className="calendar__heading">{title}</h3>
+        <div className="calendar__grid">
+          {mode === "month" &&
+            WEEKDAYS.map((w) => (
+              <div key={w} className="calendar__weekday">
+                {w}
+              </div>
+            ))}
+          {days.map((d) => {
+            const key = d.toISODate();
+            const tasks = byDay.get(key) || [];
+            const shown =
+              mode === "month" ? tasks.slice(0, MONTH_CELL_LIMIT) : tasks;
+            return (
+              <div
+                key={key}
+                className={[
+                  "calendar__day",
+                  key === today ? "is-today" : "",
+                  inRange(d) ? "is-in-range" : "",
+                  mode === "month" && !d.hasSame(anchor, "month")
+                    ? "is-outside"
+                    : "",
+                ].join(" ")}
+              >
+                <button
+                  type="button"
+                  className="calendar__date"
+                  title="この日だけを抽出"
+                  onClick={() => onSelectRange(key, 1)}
+                >
+                  <span className="calendar__day-label">
+                    {mode === "week"
+                      ? `${d.toFormat("M/d")}（${WEEKDAYS[d.weekday - 1]}）`
+                      : d.day === 1
+                      ? d.toFormat("M/d")
+                      : d.day}
+                  </span>
+                  {tasks.length > 0 && (
+                    <span className="calendar__count">{tasks.length}</span>
+                  )}
+                </button>
+                {shown.length > 0 && (
+                  <ul className="calendar__tasks">{shown.map(renderTask)}</ul>
+                )}
+                {tasks.length > shown.length && (
+                  <div className="calendar__more">
+                    他 {tasks.length - shown.length} 件
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React from "react";
+import { diffSize } from "./tasks";
+
+const formatDeadline = (r) =>
+  r.noDeadline ? "期限なし" : r.締切.toFormat("yyyy-MM-dd HH:mm");
+
+const label = (r) => `${r.教材} (${r.コース名})`;
+
+/**
+ * 前回の読み込みからの変更（追加・削除・締切変更・状態変更）を表示するパネル
+ * @param {{
+ *   diff: { added: Object[], removed: Object[], changed: Object[] },
+ *   onExport: () => void,
+ *   onDismiss: () => void,
+ * }} props
+ */
+export default function DiffPanel({ diff, onExport, onDismiss }) {
+  const deadlineChanges = diff.changed.filter((c) => c.deadlineChanged);
+  const statusChanges = diff.changed.filter((c) => c.statusChanged);
+
+  return (
+    <details className="diff-panel" open>
+      <summary>🆕 前回の読み込みからの変更: {diffSize(diff)} 件</summary>
+      {diff.added.length > 0 && (
+        <section>
+          <h4>追加（{diff.added.length} 件）</h4>
+          <ul>
+            {diff.added.map((r, i) => (
+              <li key={i}>
+                {label(r)} — {formatDeadline(r)}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+      {diff.removed.length > 0 && (
+        <section>
+          <h4>削除（{diff.removed.length} 件）</h4>
+          <ul>
+            {diff.removed.map((r, i) => (
+              <li key={i}>
+                <s>{label(r)}</s> — {formatDeadline(r)}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+      {deadlineChanges.length > 0 && (
+        <section>
+          <h4>締切変更（{deadlineChanges.length} 件）</h4>
+          <ul>
+            {deadlineChanges.map(({ task, before }, i) => (
+              <li key={i}>
+                {label(task)}: {formatDeadline(before)} → {formatDeadline(task)}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+      {statusChanges.length > 0 && (
+        <section>
+          <h4>状態変更（{statusChanges.length} 件）</h4>
+          <ul>
+            {statusChanges.map(({ task, before }, i) => (
+              <li key={i}>
+                {label(task)}: {before.状態 || "未設定"} → {task.状態 || "未設定"}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+      <div className="diff-panel__actions">
+        <button
+          type="button"
+          onClick={onExport}
+          disabled={!diff.added.length && !diff.changed.length}
+        >
+          新規・変更のみ CSV
+        </button>
+        <button type="button" onClick={onDismiss}>
+          変更表示を消す
+        </button>
+      </div>
+    </details>
+  );
+}
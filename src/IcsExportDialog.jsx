@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { ALARM_PRESETS, DEFAULT_ICS_OPTIONS } from "./icalendar";
+
+/**
+ * iCalendar 書き出しの設定ダイアログ
+ * @param {{
+ *   count: number,
+ *   removedCount: number,
+ *   initialOptions: { mode: "event"|"todo", alarms: number[], cancelRemoved: boolean },
+ *   onExport: (options: object) => void,
+ *   onCancel: () => void,
+ * }} props
+ */
+export default function IcsExportDialog({
+  count,
+  removedCount,
+  initialOptions,
+  onExport,
+  onCancel,
+}) {
+  // 以前の設定に無い項目は既定値で補う
+  const [options, setOptions] = useState({
+    ...DEFAULT_ICS_OPTIONS,
+    ...initialOptions,
+  });
+
+  const toggleAlarm = (minutes) => {
+    setOptions((prev) => ({
+      ...prev,
+      alarms: prev.alarms.includes(minutes)
+        ? prev.alarms.filter((m) => m !== minutes)
+        : [...prev.alarms, minutes].sort((a, b) => b - a),
+    }));
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div
+        className="modal export-dialog"
+        role="dialog"
+        aria-label="iCalendar 書き出し"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2>iCalendar (.ics) 書き出し</h2>
+        <p>{count} 件の課題を書き出します。</p>
+        <fieldset>
+          <legend>形式</legend>
+          <label>
+            <input
+              type="radio"
+              name="ics-mode"
+              checked={options.mode === "event"}
+              onChange={() => setOptions({ ...options, mode: "event" })}
+            />
+            予定（VEVENT）
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="ics-mode"
+              checked={options.mode === "todo"}
+              onChange={() => setOptions({ ...options, mode: "todo" })}
+            />
+            タスク（VTODO・期限付き）
+          </label>
+        </fieldset>
+        <fieldset>
+          <legend>通知（締切の…）</legend>
+          {ALARM_PRESETS.map(({ minutes, label }) => (
+            <label key={minutes}>
+              <input
+                type="checkbox"
+                checked={options.alarms.includes(minutes)}
+                onChange={() => toggleAlarm(minutes)}
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+        <fieldset>
+          <legend>更新</legend>
+          <label>
+            <input
+              type="checkbox"
+              checked={options.cancelRemoved}
+              onChange={(e) =>
+                setOptions({ ...options, cancelRemoved: e.target.checked })
+              }
+            />
+            前回書き出した後に消えた課題を取り消す（{removedCount} 件）
+          </label>
+          <p className="export-dialog__note">
+            同じ課題には毎回同じ UID を付けるため、カレンダーに取り込み直すと既存の予定が更新されます。取り消し分は同じファイルに STATUS:CANCELLED の項目として含まれます。
+          </p>
+        </fieldset>
+        <div style={{ textAlign: "right", marginTop: "1rem" }}>
+          <button onClick={() => onExport(options)} className="primary">
+            ダウンロード
+          </button>
+          <button onClick={onCancel} style={{ marginLeft: "0.5rem" }}>
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
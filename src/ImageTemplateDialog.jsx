@@ -0,0 +1,235 @@
+import React, { useEffect, useState } from "react";
+import html2canvas from "html2canvas";
+import {
+  IMAGE_OVERFLOW_MODES,
+  IMAGE_TEMPLATES,
+  IMAGE_THEMES,
+  buildTemplatePages,
+} from "./imageTemplates";
+
+/** テンプレートの要素を PNG にする（テンプレートの大きさのまま写す） */
+async function renderPage({ element, width, height }) {
+  document.body.appendChild(element);
+  try {
+    const canvas = await html2canvas(element, {
+      scale: 1,
+      width,
+      height,
+      backgroundColor: null,
+      useCORS: true,
+    });
+    return await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  } finally {
+    document.body.removeChild(element);
+  }
+}
+
+/**
+ * ロック画面・ストーリーなどの決まった大きさの画像を作るダイアログ
+ * テンプレート・テーマ・入り切らないときの扱いを選び、ページごとに保存・共有する
+ * @param {{
+ *   rows: Object[],
+ *   zone: string,
+ *   now: import("luxon").DateTime,
+ *   initialOptions: { template: string, theme: string, overflow: string },
+ *   onOptionsChange: (options: object) => void,
+ *   onDownload: (blob: Blob, name: string) => void,
+ *   onCancel: () => void,
+ * }} props
+ */
+export default function ImageTemplateDialog({
+  rows,
+  zone,
+  now,
+  initialOptions,
+  onOptionsChange,
+  onDownload,
+  onCancel,
+}) {
+  const [options, setOptions] = useState(initialOptions);
+  // 開いた時点の課題と時刻で作る（開いている間に作り直さないようにする）
+  const [snapshot] = useState(() => ({ rows, now }));
+  const [showGuides, setShowGuides] = useState(true);
+  // 作った画像 [{blob, url, name}]
+  const [images, setImages] = useState([]);
+  const [isRendering, setRendering] = useState(false);
+  const template = IMAGE_TEMPLATES.find((t) => t.value === options.template);
+
+  const set = (patch) => {
+    const next = { ...options, ...patch };
+    setOptions(next);
+    onOptionsChange(next);
+  };
+
+  // 選び直すたびに作り直す（前の画像の URL は捨てる）
+  useEffect(() => {
+    let cancelled = false;
+    let created = [];
+    setRendering(true);
+    (async () => {
+      const pages = buildTemplatePages(snapshot.rows, {
+        ...options,
+        zone,
+        now: snapshot.now,
+      });
+      for (const [i, page] of pages.entries()) {
+        const blob = await renderPage(page);
+        if (cancelled) return;
+        const suffix = pages.length > 1 ? `_${i + 1}` : "";
+        created = [
+          ...created,
+          {
+            blob,
+            url: URL.createObjectURL(blob),
+            name: `webclass_todo_${options.template}${suffix}.png`,
+          },
+        ];
+      }
+      setImages(created);
+      setRendering(false);
+    })().catch((e) => {
+      console.error(e);
+      alert("画像の生成に失敗しました");
+      setRendering(false);
+    });
+    return () => {
+      cancelled = true;
+      created.forEach((image) => URL.revokeObjectURL(image.url));
+    };
+  }, [snapshot, zone, options]);
+
+  const files = images.map(
+    ({ blob, name }) => new File([blob], name, { type: "image/png" }),
+  );
+  const canShare =
+    files.length > 0 && !!navigator.canShare?.({ files: files.slice(0, 1) });
+
+  const share = async () => {
+    try {
+      await navigator.share({ files, title: "WebClass To-Do" });
+    } catch (e) {
+      // 共有シートを閉じただけなら何もしない
+      if (e.name !== "AbortError") {
+        console.error(e);
+        alert("共有に失敗しました");
+      }
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div
+        className="modal export-dialog image-template-dialog"
+        role="dialog"
+        aria-label="画像テンプレート"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2>🖼 画像テンプレート</h2>
+        <fieldset>
+          <legend>大きさ</legend>
+          {IMAGE_TEMPLATES.map(({ value, label }) => (
+            <label key={value}>
+              <input
+                type="radio"
+                name="image-template"
+                checked={options.template === value}
+                onChange={() => set({ template: value })}
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+        <fieldset>
+          <legend>テーマ</legend>
+          {IMAGE_THEMES.map(({ value, label }) => (
+            <label key={value}>
+              <input
+                type="radio"
+                name="image-theme"
+                checked={options.theme === value}
+                onChange={() => set({ theme: value })}
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+        <fieldset>
+          <legend>入り切らないとき</legend>
+          {IMAGE_OVERFLOW_MODES.map(({ value, label }) => (
+            <label key={value}>
+              <input
+                type="radio"
+                name="image-overflow"
+                checked={options.overflow === value}
+                onChange={() => set({ overflow: value })}
+              />
+              {label}
+            </label>
+          ))}
+          <label>
+            <input
+              type="checkbox"
+              checked={showGuides}
+              onChange={(e) => setShowGuides(e.target.checked)}
+            />
+            時計などに隠れる範囲を表示（画像には入りません）
+          </label>
+        </fieldset>
+        <div
+          className="image-template-dialog__pages"
+          aria-busy={isRendering}
+        >
+          {isRendering && <p className="export-dialog__note">作成中…</p>}
+          {!isRendering &&
+            images.map(({ url, name, blob }, i) => (
+              <figure key={url} className="image-template-dialog__page">
+                <div className="image-template-dialog__frame">
+                  <img src={url} alt={`${i + 1} 枚目`} />
+                  {showGuides && (
+                    <>
+                      <div
+                        className="image-template-dialog__guide"
+                        style={{ top: 0, height: `${template.safeTop * 100}%` }}
+                      />
+                      <div
+                        className="image-template-dialog__guide"
+                        style={{
+                          bottom: 0,
+                          height: `${template.safeBottom * 100}%`,
+                        }}
+                      />
+                    </>
+                  )}
+                </div>
+                <figcaption>
+                  <button type="button" onClick={() => onDownload(blob, name)}>
+                    保存{images.length > 1 ? `（${i + 1}）` : ""}
+                  </button>
+                </figcaption>
+              </figure>
+            ))}
+        </div>
+        <div style={{ textAlign: "right", marginTop: "1rem" }}>
+          {canShare && (
+            <button onClick={share} className="primary" disabled={isRendering}>
+              共有
+            </button>
+          )}
+          <button
+            onClick={() =>
+              images.forEach(({ blob, name }) => onDownload(blob, name))
+            }
+            className={canShare ? "" : "primary"}
+            disabled={isRendering || !images.length}
+            style={{ marginLeft: "0.5rem" }}
+          >
+            {images.length > 1 ? `すべて保存（${images.length} 枚）` : "保存"}
+          </button>
+          <button onClick={onCancel} style={{ marginLeft: "0.5rem" }}>
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import { COLUMN_ALIASES, missingColumns } from "./csvImport";
+
+// プレビューに表示する行数
+const PREVIEW_ROWS = 5;
+
+/**
+ * CSV の列を 締切 / 教材 / コース名 / 状態 に割り当てる取り込みダイアログ
+ * @param {{
+ *   fileName: string,
+ *   fields: string[],
+ *   rows: Object[],
+ *   initialMapping: { fields: Object<string, string>, extras: string[] },
+ *   onConfirm: (mapping: object, remember: boolean) => void,
+ *   onCancel: () => void,
+ * }} props
+ */
+export default function ImportWizard({
+  fileName,
+  fields,
+  rows,
+  initialMapping,
+  onConfirm,
+  onCancel,
+}) {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [remember, setRemember] = useState(true);
+
+  const assigned = new Set(Object.values(mapping.fields));
+  const missing = missingColumns(mapping);
+
+  const assign = (key, field) => {
+    setMapping((prev) => {
+      const next = { ...prev.fields };
+      if (field) next[key] = field;
+      else delete next[key];
+      return {
+        fields: next,
+        // 必須列に割り当てた列は追加列から外す
+        extras: prev.extras.filter((f) => f !== field),
+      };
+    });
+  };
+
+  const toggleExtra = (field) => {
+    setMapping((prev) => ({
+      ...prev,
+      extras: prev.extras.includes(field)
+        ? prev.extras.filter((f) => f !== field)
+        : [...prev.extras, field],
+    }));
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div
+        className="modal import-wizard"
+        role="dialog"
+        aria-label="列の割り当て"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2>列の割り当て</h2>
+        <p>
+          {fileName} の列を、締切・教材・コース名・状態に割り当ててください。
+        </p>
+        <div className="csv-preview">
+          <table>
+            <thead>
+              <tr>
+                {fields.map((f) => (
+                  <th key={f}>{f}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, PREVIEW_ROWS).map((r, i) => (
+                <tr key={i}>
+                  {fields.map((f) => (
+                    <td key={f}>{r[f]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="import-wizard__fields">
+          {Object.keys(COLUMN_ALIASES).map((key) => (
+            <label key={key}>
+              {key}:
+              <select
+                value={mapping.fields[key] || ""}
+                onChange={(e) => assign(key, e.target.value)}
+              >
+                <option value="">（未選択）</option>
+                {fields.map((f) => (
+                  <option key={f} value={f}>
+                    {f}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+        <fieldset className="import-wizard__extras">
+          <legend>追加で残す列（学部・学科・開始日など）</legend>
+          {fields
+            .filter((f) => !assigned.has(f))
+            .map((f) => (
+              <label key={f}>
+                <input
+                  type="checkbox"
+                  checked={mapping.extras.includes(f)}
+                  onChange={() => toggleExtra(f)}
+                />
+                {f}
+              </label>
+            ))}
+        </fieldset>
+        <label>
+          <input
+            type="checkbox"
+            checked={remember}
+            onChange={(e) => setRemember(e.target.checked)}
+          />
+          この見出しの組み合わせの割り当てを記憶する
+        </label>
+        {missing.length > 0 && (
+          <p className="import-wizard__error">
+            未割り当て: {missing.join(", ")}
+          </p>
+        )}
+        <div style={{ textAlign: "right", marginTop: "1rem" }}>
+          <button
+            onClick={() => onConfirm(mapping, remember)}
+            className="primary"
+            disabled={missing.length > 0}
+          >
+            取り込む
+          </button>
+          <button onClick={onCancel} style={{ marginLeft: "0.5rem" }}>
+            キャンセル
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import React, { useState } from "react";
+import { taskKey } from "./tasks";
+import {
+  NOTIFY_OFFSET_OPTIONS,
+  notificationPermission,
+  offsetLabel,
+  scheduleNotifications,
+} from "./notifications";
+
+// 予定の一覧に並べる件数
+const SCHEDULE_LIMIT = 30;
+
+const PERMISSION_NOTES = {
+  unsupported: "このブラウザは通知に対応していません。",
+  denied:
+    "通知がブロックされています。ブラウザのサイト設定から通知を許可してください。",
+  default: "通知を受け取るには、ブラウザの確認で「許可」を選んでください。",
+};
+
+/**
+ * 締切の通知の設定ダイアログ
+ * 通知のタイミングを選び、これからの通知の予定と課題ごとのミュートを管理する
+ * @param {{
+ *   rows: Object[],
+ *   initialPrefs: ReturnType<typeof import("./notifications").defaultNotifyPrefs>,
+ *   now: import("luxon").DateTime,
+ *   zone: string,
+ *   onSave: (prefs: object) => void,
+ *   onTest: () => void,
+ *   onCancel: () => void,
+ * }} props rows は通知の対象にする未完了の課題
+ */
+export default function NotificationDialog({
+  rows,
+  initialPrefs,
+  now,
+  zone,
+  onSave,
+  onTest,
+  onCancel,
+}) {
+  const [prefs, setPrefs] = useState(initialPrefs);
+  const [permission, setPermission] = useState(notificationPermission);
+  const set = (patch) => setPrefs((prev) => ({ ...prev, ...patch }));
+
+  const schedule = scheduleNotifications(rows, prefs, now).filter(
+    (item) => item.at > now,
+  );
+  const mutedRows = rows.filter((r) => prefs.muted.includes(taskKey(r)));
+
+  const requestPermission = async () => {
+    setPermission(await Notification.requestPermission());
+  };
+
+  const toggleEnabled = (enabled) => {
+    set({ enabled });
+    if (enabled && permission === "default") requestPermission();
+  };
+
+  const toggleOffset = (minutes) => {
+    set({
+      offsets: prefs.offsets.includes(minutes)
+        ? prefs.offsets.filter((m) => m !== minutes)
+        : [...prefs.offsets, minutes].sort((a, b) => b - a),
+    });
+  };
+
+  const toggleMute = (r) => {
+    const id = taskKey(r);
+    set({
+      muted: prefs.muted.includes(id)
+        ? prefs.muted.filter((m) => m !== id)
+        : [...prefs.muted, id],
+    });
+  };
+
+  const format = (d) => d.setZone(zone).toFormat("M/d HH:mm");
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div
+        className="modal export-dialog notification-dialog"
+        role="dialog"
+        aria-label="締切の通知"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2>🔔 締切の通知</h2>
+        <fieldset>
+          <legend>通知</legend>
+          <label>
+            <input
+              type="checkbox"
+              checked={prefs.enabled}
+              disabled={permission === "unsupported"}
+              onChange={(e) => toggleEnabled(e.target.checked)}
+            />
+            未完了の課題の締切を通知する
+          </label>
+          {permission !== "granted" && (
+            <p className="export-dialog__note">
+              {PERMISSION_NOTES[permission]}
+              {permission === "default" && (
+                <button
+                  type="button"
+                  style={{ marginLeft: "0.5rem" }}
+                  onClick={requestPermission}
+                >
+                  通知を許可
+                </button>
+              )}
+            </p>
+          )}
+          <p className="export-dialog__note">
+            通知はこのアプリ（タブ）を開いている間に届きます。閉じている間に過ぎたものは、次に開いたときにまとめて通知します。
+          </p>
+        </fieldset>
+        <fieldset>
+          <legend>タイミング</legend>
+          {NOTIFY_OFFSET_OPTIONS.map(({ minutes, label }) => (
+            <label key={minutes}>
+              <input
+                type="checkbox"
+                checked={prefs.offsets.includes(minutes)}
+                onChange={() => toggleOffset(minutes)}
+              />
+              締切の {label}
+            </label>
+          ))}
+        </fieldset>
+        <h3>これからの通知（{schedule.length} 件）</h3>
+        {schedule.length ? (
+          <ul className="notification-dialog__schedule">
+            {schedule.slice(0, SCHEDULE_LIMIT).map((item) => (
+              <li key={item.tag}>
+                <time dateTime={item.at.toISO()}>{format(item.at)}</time>
+                <span className="notification-dialog__task">
+                  {item.row.教材}（{item.row.コース名}）
+                  <small>締切の {offsetLabel(item.minutes)}</small>
+                </span>
+                <button type="button" onClick={() => toggleMute(item.row)}>
+                  🔕 ミュート
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="export-dialog__note">予定されている通知はありません。</p>
+        )}
+        {schedule.length > SCHEDULE_LIMIT && (
+          <p className="export-dialog__note">
+            ほか {schedule.length - SCHEDULE_LIMIT} 件
+          </p>
+        )}
+        {mutedRows.length > 0 && (
+          <details>
+            <summary>ミュート中の課題（{mutedRows.length} 件）</summary>
+            <ul className="notification-dialog__schedule">
+              {mutedRows.map((r) => (
+                <li key={taskKey(r)}>
+                  <time dateTime={r.締切.toISO()}>{format(r.締切)}</time>
+                  <span className="notification-dialog__task">
+                    {r.教材}（{r.コース名}）
+                  </span>
+                  <button type="button" onClick={() => toggleMute(r)}>
+                    🔔 解除
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+        <div style={{ textAlign: "right", marginTop: "1rem" }}>
+          <button
+            onClick={() => onSave(prefs)}
+            className="primary"
+            disabled={prefs.enabled && !prefs.offsets.length}
+          >
+            保存
+          </button>
+          <button
+            onClick={onTest}
+            disabled={permission !== "granted"}
+            style={{ marginLeft: "0.5rem" }}
+          >
+            テスト通知
+          </button>
+          <button onClick={onCancel} style={{ marginLeft: "0.5rem" }}>
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
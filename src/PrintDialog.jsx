@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_PLANNER_OPTIONS,
+  PLANNER_ORIENTATIONS,
+  PLANNER_PAPERS,
+} from "./planner";
+
+/**
+ * 週間プランナーの印刷ダイアログ
+ * @param {{
+ *   weekCount: number,
+ *   initialOptions: { paper: string, orientation: string },
+ *   onPrint: (options: object) => void,
+ *   onCancel: () => void,
+ * }} props
+ */
+export default function PrintDialog({
+  weekCount,
+  initialOptions,
+  onPrint,
+  onCancel,
+}) {
+  const [options, setOptions] = useState({
+    ...DEFAULT_PLANNER_OPTIONS,
+    ...initialOptions,
+  });
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div
+        className="modal export-dialog"
+        role="dialog"
+        aria-label="印刷 / PDF保存"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2>🖨 印刷 / PDF保存</h2>
+        {weekCount > 0 ? (
+          <p>
+            抽出期間の課題を 1 週 1 ページの週間プランナーにして印刷します（
+            {weekCount} ページ）。
+          </p>
+        ) : (
+          <p className="export-dialog__note">
+            印刷する週がありません。抽出条件の開始日を指定してください。
+          </p>
+        )}
+        <fieldset>
+          <legend>用紙</legend>
+          {PLANNER_PAPERS.map(({ value, label }) => (
+            <label key={value}>
+              <input
+                type="radio"
+                name="planner-paper"
+                checked={options.paper === value}
+                onChange={() => setOptions({ ...options, paper: value })}
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+        <fieldset>
+          <legend>向き</legend>
+          {PLANNER_ORIENTATIONS.map(({ value, label }) => (
+            <label key={value}>
+              <input
+                type="radio"
+                name="planner-orientation"
+                checked={options.orientation === value}
+                onChange={() => setOptions({ ...options, orientation: value })}
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+        <p className="export-dialog__note">
+          PDF にするには、ブラウザの印刷画面で送信先（プリンター）に「PDF
+          に保存」を選んでください。用紙の大きさと向きが合わないときは、印刷画面でも同じものを選んでください。
+        </p>
+        <div style={{ textAlign: "right", marginTop: "1rem" }}>
+          <button
+            onClick={() => onPrint(options)}
+            className="primary"
+            disabled={weekCount === 0}
+          >
+            印刷
+          </button>
+          <button onClick={onCancel} style={{ marginLeft: "0.5rem" }}>
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useEffect } from "react";
+import { PLANNER_MARGIN, plannerPageSize } from "./planner";
+import "./print.css";
+
+/**
+ * 印刷用の週間プランナー（画面には出さず、印刷するときだけ表示する）
+ * 表示したらすぐに印刷画面を開き、閉じたら onDone を呼ぶ
+ * @param {{
+ *   weeks: ReturnType<typeof import("./planner").buildPlannerWeeks>["weeks"],
+ *   noDeadline: Object[],
+ *   options: { paper: string, orientation: string },
+ *   zone: string,
+ *   now: import("luxon").DateTime,
+ *   onDone: () => void,
+ * }} props
+ */
+export default function PrintPlanner({
+  weeks,
+  noDeadline,
+  options,
+  zone,
+  now,
+  onDone,
+}) {
+  const page = plannerPageSize(options);
+  const today = now.setZone(zone).toISODate();
+
+  useEffect(() => {
+    document.body.classList.add("is-printing-planner");
+    window.addEventListener("afterprint", onDone);
+    window.print();
+    return () => {
+      document.body.classList.remove("is-printing-planner");
+      window.removeEventListener("afterprint", onDone);
+    };
+  }, []);
+
+  return (
+    <div className="print-planner">
+      <style>
+        {`@page { size: ${page.size}; margin: ${PLANNER_MARGIN}mm; }`}
+      </style>
+      {weeks.map((week, i) => (
+        <section
+          key={week.start.toISODate()}
+          className="print-planner__week"
+          // 1 mm 小さくして、端数で次のページにはみ出さないようにする
+          style={{ minHeight: `${page.height - 1}mm` }}
+        >
+          <header className="print-planner__header">
+            <h2>
+              週間プランナー　{week.start.toFormat("yyyy/M/d")} 〜{" "}
+              {week.end.toFormat("M/d")}
+            </h2>
+            <span>
+              {now.setZone(zone).toFormat("yyyy/MM/dd HH:mm")} 時点　{i + 1} /{" "}
+              {weeks.length}
+            </span>
+          </header>
+          <div className="print-planner__days">
+            {week.days.map((day) => (
+              <div
+                key={day.label}
+                className={`print-planner__day ${
+                  day.date.toISODate() === today ? "is-today" : ""
+                }`}
+              >
+                <h3>{day.label}</h3>
+                <ul>
+                  {day.rows.map((r, j) => (
+                    <li key={j} className={`category--${r.category}`}>
+                      <span className="print-planner__check" aria-hidden>
+                        {r.category === "done" ? "✓" : ""}
+                      </span>
+                      <span>
+                        <strong>
+                          <time>{r.締切.setZone(zone).toFormat("HH:mm")}</time>{" "}
+                          {r.教材}
+                        </strong>
+                        <small>{r.コース名}</small>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+          <div className="print-planner__notes">
+            {i === 0 && noDeadline.length > 0 && (
+              <div className="print-planner__undated">
+                <h3>期限なし</h3>
+                <ul>
+                  {noDeadline.map((r, j) => (
+                    <li key={j} className={`category--${r.category}`}>
+                      <span className="print-planner__check" aria-hidden>
+                        {r.category === "done" ? "✓" : ""}
+                      </span>
+                      <span>
+                        <strong>{r.教材}</strong>
+                        <small>{r.コース名}</small>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div className="print-planner__memo">
+              <h3>メモ</h3>
+            </div>
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+import React, { useState } from "react";
+import { taskKey } from "./tasks";
+import { STATUS_CATEGORIES } from "./statusCategories";
+import {
+  REMINDER_ALARM_OPTIONS,
+  REMINDER_DELIVERY_MODES,
+  buildReminderPayload,
+  selectReminderItems,
+} from "./reminders";
+
+/**
+ * リマインダー送信ダイアログ
+ * 状態の区分・課題ごとの対象選択、追加先リスト名、アラームを決めてショートカットに送る
+ * 分割送信中は batchProgress に従ってバッチごとの送信ボタンを表示する
+ * @param {{
+ *   rows: Object[],
+ *   initialPrefs: ReturnType<typeof import("./reminders").defaultReminderPrefs>,
+ *   zone: string,
+ *   batchProgress: { batches: Object[], sent: number[] } | null,
+ *   onSend: (payload: object, prefs: object) => void,
+ *   onSendBatch: (index: number) => void,
+ *   onResetBatches: () => void,
+ *   onCancel: () => void,
+ * }} props
+ */
+export default function ReminderDialog({
+  rows,
+  initialPrefs,
+  zone,
+  batchProgress,
+  onSend,
+  onSendBatch,
+  onResetBatches,
+  onCancel,
+}) {
+  const [prefs, setPrefs] = useState(initialPrefs);
+  const set = (patch) => setPrefs((prev) => ({ ...prev, ...patch }));
+
+  const categories = STATUS_CATEGORIES.filter(({ value }) =>
+    rows.some((r) => r.category === value),
+  );
+  const items = selectReminderItems(rows, prefs);
+  const payload = buildReminderPayload(items, prefs, zone);
+  // 区分で除外されていない課題（個別チェックの対象）
+  const candidates = selectReminderItems(rows, { ...prefs, deselected: [] });
+
+  const toggleCategory = (category) => {
+    set({
+      excludedCategories: prefs.excludedCategories.includes(category)
+        ? prefs.excludedCategories.filter((c) => c !== category)
+        : [...prefs.excludedCategories, category],
+    });
+  };
+
+  const toggleItem = (r) => {
+    const id = taskKey(r);
+    set({
+      deselected: prefs.deselected.includes(id)
+        ? prefs.deselected.filter((d) => d !== id)
+        : [...prefs.deselected, id],
+    });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div
+        className="modal export-dialog reminder-dialog"
+        role="dialog"
+        aria-label="リマインダーに追加"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2>📲 リマインダーに追加</h2>
+        <fieldset>
+          <legend>対象の状態</legend>
+          {categories.map(({ value, label }) => (
+            <label key={value}>
+              <input
+                type="checkbox"
+                checked={!prefs.excludedCategories.includes(value)}
+                onChange={() => toggleCategory(value)}
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+        <fieldset>
+          <legend>送信先・通知</legend>
+          <label>
+            リスト名:
+            <input
+              type="text"
+              placeholder="空欄ならショートカットの既定のリスト"
+              value={prefs.listName}
+              onChange={(e) => set({ listName: e.target.value })}
+            />
+          </label>
+          <label>
+            アラーム:
+            <select
+              value={prefs.alarmMinutes ?? ""}
+              onChange={(e) =>
+                set({
+                  alarmMinutes:
+                    e.target.value === "" ? null : Number(e.target.value),
+                })
+              }
+            >
+              {REMINDER_ALARM_OPTIONS.map(({ minutes, label }) => (
+                <option key={label} value={minutes ?? ""}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            渡し方:
+            <select
+              value={prefs.deliveryMode}
+              onChange={(e) => set({ deliveryMode: e.target.value })}
+            >
+              {REMINDER_DELIVERY_MODES.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {prefs.deliveryMode === "batches" && (
+            <label>
+              1 回あたりの件数:
+              <input
+                type="number"
+                min={1}
+                value={prefs.batchSize}
+                onChange={(e) =>
+                  set({ batchSize: Math.max(1, Number(e.target.value) || 1) })
+                }
+              />
+            </label>
+          )}
+          <label>
+            並び順:
+            <select
+              value={prefs.sortAsc ? "asc" : "desc"}
+              onChange={(e) => set({ sortAsc: e.target.value === "asc" })}
+            >
+              <option value="asc">締切が早い順</option>
+              <option value="desc">締切が遅い順</option>
+            </select>
+          </label>
+        </fieldset>
+        <ul className="reminder-dialog__items">
+          {candidates.map((r) => (
+            <li key={taskKey(r)}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={!prefs.deselected.includes(taskKey(r))}
+                  onChange={() => toggleItem(r)}
+                />
+                {r.締切.toFormat("MM/dd HH:mm")} {r.教材}（{r.コース名}）
+              </label>
+            </li>
+          ))}
+        </ul>
+        <details>
+          <summary>送信する JSON（{items.length} 件）</summary>
+          <pre className="reminder-dialog__payload">
+            {JSON.stringify(payload, null, 2)}
+          </pre>
+        </details>
+        {batchProgress && (
+          <section className="reminder-dialog__batches">
+            <h3>
+              分割送信（{batchProgress.sent.length} / {batchProgress.batches.length}{" "}
+              送信済み）
+            </h3>
+            <p className="export-dialog__note">
+              ショートカットの実行が終わったらこの画面に戻り、次のバッチを送信してください。
+            </p>
+            <ol>
+              {batchProgress.batches.map((batch, i) => (
+                <li key={i}>
+                  <button
+                    type="button"
+                    className={
+                      batchProgress.sent.includes(i) ? "" : "primary"
+                    }
+                    onClick={() => onSendBatch(i)}
+                  >
+                    {batchProgress.sent.includes(i) ? "✓ 再送信" : "送信"}{" "}
+                    {batch.batch.index}/{batch.batch.total}（{batch.tasks.length}{" "}
+                    件）
+                  </button>
+                </li>
+              ))}
+            </ol>
+            <button type="button" onClick={onResetBatches}>
+              分割送信をやめる
+            </button>
+          </section>
+        )}
+        <div style={{ textAlign: "right", marginTop: "1rem" }}>
+          <button
+            onClick={() => onSend(payload, prefs)}
+            className="primary"
+            disabled={!items.length}
+          >
+            {batchProgress ? "選び直して分割し直す" : "ショートカットを起動"}
+          </button>
+          <button onClick={onCancel} style={{ marginLeft: "0.5rem" }}>
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,285 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_SETTINGS,
+  EXPORT_FORMATS,
+  SORT_FIELDS,
+  isValidZone,
+  parseSettingsJSON,
+} from "./settings";
+import {
+  STATUS_CATEGORIES,
+  categoryLabel,
+  classifyStatus,
+  normalizeStatus,
+} from "./statusCategories";
+
+// 候補として出すタイムゾーン（それ以外も IANA 名で入力できる）
+const ZONE_SUGGESTIONS = [
+  "Asia/Tokyo",
+  "Asia/Seoul",
+  "Asia/Shanghai",
+  "Asia/Singapore",
+  "Europe/London",
+  "America/New_York",
+  "America/Los_Angeles",
+  "UTC",
+];
+
+/**
+ * アプリ全体の設定ダイアログ
+ * 保存するまでは元の設定を変えない。JSON の読み込みもフォームに反映するだけ
+ * @param {{
+ *   initialSettings: typeof DEFAULT_SETTINGS,
+ *   statuses: string[],
+ *   onSave: (settings: typeof DEFAULT_SETTINGS) => void,
+ *   onExport: (settings: typeof DEFAULT_SETTINGS) => void,
+ *   onCancel: () => void,
+ * }} props
+ */
+export default function SettingsDialog({
+  initialSettings,
+  statuses,
+  onSave,
+  onExport,
+  onCancel,
+}) {
+  const [settings, setSettings] = useState(initialSettings);
+  const [importError, setImportError] = useState("");
+  const set = (patch) => setSettings((prev) => ({ ...prev, ...patch }));
+
+  const toggleExcluded = (category) => {
+    set({
+      excludedCategories: settings.excludedCategories.includes(category)
+        ? settings.excludedCategories.filter((c) => c !== category)
+        : [...settings.excludedCategories, category],
+    });
+  };
+
+  // 空欄を選ぶと割り当てを消して既定の分類に戻す
+  const mapStatus = (status, category) => {
+    const statusMapping = { ...settings.statusMapping };
+    if (category) {
+      statusMapping[normalizeStatus(status)] = category;
+    } else {
+      delete statusMapping[normalizeStatus(status)];
+    }
+    set({ statusMapping });
+  };
+
+  const importJSON = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setSettings(parseSettingsJSON(await file.text()));
+      setImportError("");
+    } catch (err) {
+      setImportError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const zoneValid = isValidZone(settings.zone);
+  const canSave =
+    zoneValid &&
+    settings.shortcutName.trim() !== "" &&
+    /^https?:\/\//.test(settings.installUrl);
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div
+        className="modal export-dialog settings-dialog"
+        role="dialog"
+        aria-label="設定"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2>⚙️ 設定</h2>
+        <p className="export-dialog__note">
+          設定はこの端末のブラウザに保存されます。
+        </p>
+        <fieldset>
+          <legend>リマインダー（ショートカット）</legend>
+          <label>
+            ショートカット名:
+            <input
+              type="text"
+              value={settings.shortcutName}
+              onChange={(e) => set({ shortcutName: e.target.value })}
+            />
+          </label>
+          <label>
+            インストールページの URL:
+            <input
+              type="url"
+              value={settings.installUrl}
+              onChange={(e) => set({ installUrl: e.target.value })}
+            />
+          </label>
+        </fieldset>
+        <fieldset className="settings-dialog__categories">
+          <legend>状態の分類</legend>
+          <p className="export-dialog__note">
+            書き出し・リマインダー送信から除外する区分:
+          </p>
+          {STATUS_CATEGORIES.map(({ value, label }) => (
+            <label key={value} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={settings.excludedCategories.includes(value)}
+                onChange={() => toggleExcluded(value)}
+              />
+              {label}
+            </label>
+          ))}
+          {statuses.length > 0 && (
+            <table className="settings-dialog__mapping">
+              <thead>
+                <tr>
+                  <th>状態</th>
+                  <th>区分</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statuses.map((status) => {
+                  const key = normalizeStatus(status);
+                  const { category, unknown } = classifyStatus(status);
+                  return (
+                    <tr key={key}>
+                      <td>
+                        {status}
+                        {unknown && !settings.statusMapping[key] && (
+                          <span className="badge badge--changed">未分類</span>
+                        )}
+                      </td>
+                      <td>
+                        <select
+                          value={settings.statusMapping[key] || ""}
+                          onChange={(e) => mapStatus(status, e.target.value)}
+                        >
+                          <option value="">
+                            既定（{categoryLabel(category)}）
+                          </option>
+                          {STATUS_CATEGORIES.map(({ value, label }) => (
+                            <option key={value} value={value}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          <p className="export-dialog__note">
+            未完了の課題は締切を過ぎると自動で「期限切れ」になります。
+          </p>
+        </fieldset>
+        <fieldset>
+          <legend>表示</legend>
+          <label>
+            期間（日）:
+            <input
+              type="number"
+              min={0}
+              value={settings.spanDays}
+              onChange={(e) =>
+                set({
+                  spanDays: Math.max(0, Math.floor(Number(e.target.value)) || 0),
+                })
+              }
+            />
+          </label>
+          <label>
+            タイムゾーン:
+            <input
+              type="text"
+              list="settings-zones"
+              value={settings.zone}
+              aria-invalid={!zoneValid}
+              onChange={(e) => set({ zone: e.target.value.trim() })}
+            />
+            <datalist id="settings-zones">
+              {ZONE_SUGGESTIONS.map((z) => (
+                <option key={z} value={z} />
+              ))}
+            </datalist>
+          </label>
+          {!zoneValid && (
+            <p className="settings-dialog__error">
+              タイムゾーンは Asia/Tokyo のような IANA の名前で入力してください。
+            </p>
+          )}
+          <label>
+            並び順:
+            <select
+              value={settings.sortField}
+              onChange={(e) => set({ sortField: e.target.value })}
+            >
+              {SORT_FIELDS.map((f) => (
+                <option key={f} value={f}>
+                  {f}
+                </option>
+              ))}
+            </select>
+            <select
+              value={settings.sortAsc ? "asc" : "desc"}
+              onChange={(e) => set({ sortAsc: e.target.value === "asc" })}
+            >
+              <option value="asc">昇順</option>
+              <option value="desc">降順</option>
+            </select>
+          </label>
+          <label>
+            よく使う書き出し形式:
+            <select
+              value={settings.exportFormat}
+              onChange={(e) => set({ exportFormat: e.target.value })}
+            >
+              {EXPORT_FORMATS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </fieldset>
+        <fieldset>
+          <legend>設定の引き継ぎ</legend>
+          <div className="settings-dialog__actions">
+            <button type="button" onClick={() => onExport(settings)}>
+              JSON で書き出す
+            </button>
+            <label className="button">
+              JSON から読み込む
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="visually-hidden"
+                onChange={importJSON}
+              />
+            </label>
+            <button type="button" onClick={() => setSettings(DEFAULT_SETTINGS)}>
+              既定値に戻す
+            </button>
+          </div>
+          {importError && (
+            <p className="settings-dialog__error">{importError}</p>
+          )}
+        </fieldset>
+        <div style={{ textAlign: "right", marginTop: "1rem" }}>
+          <button
+            onClick={() => onSave(settings)}
+            className="primary"
+            disabled={!canSave}
+          >
+            保存
+          </button>
+          <button onClick={onCancel} style={{ marginLeft: "0.5rem" }}>
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React from "react";
+
+/**
+ * Todoist CSV のプレビューに表示する書き出し設定
+ * @param {{
+ *   options: typeof import("./todoist").DEFAULT_TODOIST_OPTIONS,
+ *   courses: string[],
+ *   onChange: (options: object) => void,
+ * }} props
+ */
+export default function TodoistOptions({ options, courses, onChange }) {
+  const set = (patch) => onChange({ ...options, ...patch });
+
+  return (
+    <div className="todoist-options">
+      <label>
+        構成:
+        <select
+          value={options.layout}
+          onChange={(e) =>
+            set({
+              layout: e.target.value,
+              course: options.course || courses[0] || "",
+            })
+          }
+        >
+          <option value="flat">1 つの一覧</option>
+          <option value="sections">コースごとにセクション</option>
+          <option value="course">1 コースだけ（プロジェクト用）</option>
+        </select>
+      </label>
+      {options.layout === "course" && (
+        <label>
+          コース:
+          <select
+            value={options.course}
+            onChange={(e) => set({ course: e.target.value })}
+          >
+            {courses.map((c) => (
+              <option key={c} value={c}>
+                {c || "（コース名なし）"}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label>
+        <input
+          type="checkbox"
+          checked={options.priority}
+          onChange={(e) => set({ priority: e.target.checked })}
+        />
+        締切の近さで優先度を付ける
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={options.description}
+          onChange={(e) => set({ description: e.target.checked })}
+        />
+        状態を説明に入れる
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={options.courseLabel}
+          onChange={(e) => set({ courseLabel: e.target.checked })}
+        />
+        コース名をラベルにする
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useId, useState } from "react";
+import { sameView } from "./views";
+
+/**
+ * 保存したビュー（抽出条件と並び順の組み合わせ）の切り替え・保存・削除
+ * @param {{
+ *   views: Object[],
+ *   defaultView: string | null,
+ *   current: Object,
+ *   onApply: (view: Object) => void,
+ *   onSave: (name: string) => void,
+ *   onDelete: (name: string) => void,
+ *   onSetDefault: (name: string | null) => void,
+ *   onExport: () => void,
+ *   onImport: (file: File) => Promise<void>,
+ * }} props current は captureView で作った今の条件
+ */
+export default function ViewPicker({
+  views,
+  defaultView,
+  current,
+  onApply,
+  onSave,
+  onDelete,
+  onSetDefault,
+  onExport,
+  onImport,
+}) {
+  const selectId = useId();
+  const [name, setName] = useState("");
+  const [importError, setImportError] = useState("");
+
+  // 今の条件と同じビューを選択中として表示する
+  const active = views.find((v) => sameView(v, current))?.name || "";
+  const trimmed = name.trim();
+
+  const save = () => {
+    if (
+      views.some((v) => v.name === trimmed) &&
+      !window.confirm(`ビュー「${trimmed}」を今の条件で上書きしますか？`)
+    )
+      return;
+    onSave(trimmed);
+    setName("");
+  };
+
+  const importJSON = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (!file) return;
+    try {
+      await onImport(file);
+      setImportError("");
+    } catch (err) {
+      setImportError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="view-picker">
+      <label htmlFor={selectId}>ビュー:</label>
+      <select
+        id={selectId}
+        value={active}
+        onChange={(e) => {
+          const view = views.find((v) => v.name === e.target.value);
+          if (view) onApply(view);
+        }}
+      >
+        <option value="" disabled>
+          {views.length ? "（保存したビューと異なる条件）" : "（ビューなし）"}
+        </option>
+        {views.map((v) => (
+          <option key={v.name} value={v.name}>
+            {v.name}
+            {v.name === defaultView ? "（既定）" : ""}
+          </option>
+        ))}
+      </select>
+      {active && (
+        <div className="view-picker__actions">
+          <button
+            type="button"
+            onClick={() => onSetDefault(active === defaultView ? null : active)}
+          >
+            {active === defaultView ? "既定を解除" : "既定にする"}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              if (window.confirm(`ビュー「${active}」を削除しますか？`)) {
+                onDelete(active);
+              }
+            }}
+          >
+            削除
+          </button>
+        </div>
+      )}
+      <div className="view-picker__save">
+        <input
+          type="text"
+          placeholder="ビューの名前"
+          aria-label="保存するビューの名前"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && trimmed) save();
+          }}
+        />
+        <button type="button" disabled={!trimmed} onClick={save}>
+          今の条件を保存
+        </button>
+      </div>
+      <div className="view-picker__actions">
+        <button type="button" disabled={!views.length} onClick={onExport}>
+          JSON 書き出し
+        </button>
+        <label className="button">
+          JSON 読み込み
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="visually-hidden"
+            onChange={importJSON}
+          />
+        </label>
+      </div>
+      {importError && <p className="view-picker__error">{importError}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,276 @@
+import React from "react";
+import { STATUS_CATEGORIES } from "./statusCategories";
+import {
+  CRUNCH_THRESHOLD,
+  CRUNCH_WINDOW_HOURS,
+  countByCourse,
+  countByDay,
+  countByWeek,
+  findCrunches,
+} from "./workload";
+
+const CELL = 14;
+const CELL_GAP = 3;
+const HEATMAP_LEFT = 20;
+const HEATMAP_TOP = 16;
+const WEEKDAY_LABELS = ["月", "", "水", "", "金", "", "日"];
+
+const CATEGORY_COLORS = {
+  pending: "var(--primary)",
+  overdue: "#dc2626",
+  failed: "#d97706",
+  done: "#16a34a",
+};
+
+/** 日ごとの締切数のヒートマップ（列 = 週、行 = 曜日） */
+function Heatmap({ days, onSelectDay }) {
+  if (!days.length) return null;
+  const firstWeek = days[0].date.startOf("week");
+  // 夏時間のあるタイムゾーンでもずれないよう、週の始まりの日数差から数える
+  const weekIndex = (date) =>
+    Math.round(date.startOf("week").diff(firstWeek, "days").days / 7);
+  const max = Math.max(1, ...days.map((d) => d.count));
+  const weekCount = weekIndex(days[days.length - 1].date) + 1;
+  const step = CELL + CELL_GAP;
+  return (
+    <svg
+      className="workload__heatmap"
+      width={HEATMAP_LEFT + weekCount * step}
+      height={HEATMAP_TOP + 7 * step}
+      role="img"
+      aria-label="日ごとの締切数"
+    >
+      {WEEKDAY_LABELS.map(
+        (label, i) =>
+          label && (
+            <text key={i} x={0} y={HEATMAP_TOP + i * step + CELL - 3}>
+              {label}
+            </text>
+          ),
+      )}
+      {days.map(({ date, count }) => {
+        const x = HEATMAP_LEFT + weekIndex(date) * step;
+        const y = HEATMAP_TOP + (date.weekday - 1) * step;
+        return (
+          <g key={date.toISODate()}>
+            {date.day === 1 || date.equals(days[0].date) ? (
+              <text x={x} y={10}>
+                {date.toFormat("M/d")}
+              </text>
+            ) : null}
+            <rect
+              x={x}
+              y={y}
+              width={CELL}
+              height={CELL}
+              rx={3}
+              className={count ? "workload__cell" : "workload__cell is-empty"}
+              fillOpacity={count ? 0.25 + (0.75 * count) / max : 1}
+              onClick={() => onSelectDay(date.toISODate())}
+            >
+              <title>
+                {date.toFormat("M月d日")}: {count} 件
+              </title>
+            </rect>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/** 週ごとの件数の棒グラフ */
+function WeekBars({ weeks }) {
+  const max = Math.max(1, ...weeks.map((w) => w.count));
+  const barWidth = 32;
+  const height = 100;
+  return (
+    <svg
+      className="workload__weeks"
+      width={weeks.length * (barWidth + 8)}
+      height={height + 32}
+      role="img"
+      aria-label="週ごとの締切数"
+    >
+      {weeks.map(({ week, count }, i) => {
+        const h = (height * count) / max;
+        const x = i * (barWidth + 8);
+        return (
+          <g key={week.toISODate()}>
+            <rect
+              x={x}
+              y={height - h + 14}
+              width={barWidth}
+              height={h}
+              rx={3}
+              className="workload__bar"
+            />
+            <text x={x + barWidth / 2} y={height - h + 10} textAnchor="middle">
+              {count}
+            </text>
+            <text x={x + barWidth / 2} y={height + 28} textAnchor="middle">
+              {week.toFormat("M/d")}〜
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/** 割合の帯（区分ごと・コースごとの完了率） */
+function RatioBar({ parts, total, width = 240 }) {
+  let x = 0;
+  return (
+    <svg className="workload__ratio" width={width} height={12} role="img">
+      <rect
+        width={width}
+        height={12}
+        rx={6}
+        className="workload__cell is-empty"
+      />
+      {parts.map(({ key, value, color }) => {
+        const w = total ? (width * value) / total : 0;
+        const rect = (
+          <rect key={key} x={x} width={w} height={12} fill={color}>
+            <title>
+              {key}: {value} 件
+            </title>
+          </rect>
+        );
+        x += w;
+        return rect;
+      })}
+    </svg>
+  );
+}
+
+/**
+ * 抽出結果の負荷ダッシュボード
+ * ヒートマップ・週ごとの件数・コースごとの件数と完了率・区分ごとの割合・締切の山場を表示する
+ * @param {{
+ *   rows: Object[],
+ *   startDate: string,
+ *   endDate: string,
+ *   zone: string,
+ *   onSelectRange: (startDate: string, days: number) => void,
+ * }} props
+ */
+export default function WorkloadDashboard({
+  rows,
+  startDate,
+  endDate,
+  zone,
+  onSelectRange,
+}) {
+  const days = countByDay(rows, startDate, endDate, zone);
+  const weeks = countByWeek(days);
+  const courses = countByCourse(rows);
+  const crunches = findCrunches(rows);
+  const categoryParts = STATUS_CATEGORIES.map(({ value, label }) => ({
+    key: label,
+    value: rows.filter((r) => r.category === value).length,
+    color: CATEGORY_COLORS[value],
+  }));
+  const doneCount = rows.filter((r) => r.category === "done").length;
+
+  if (!rows.length) {
+    return (
+      <p className="workload__empty">抽出条件に当てはまる課題がありません</p>
+    );
+  }
+
+  return (
+    <div className="workload">
+      <section className="workload__panel">
+        <h3>日ごとの締切</h3>
+        <div className="workload__scroll">
+          <Heatmap days={days} onSelectDay={(date) => onSelectRange(date, 1)} />
+        </div>
+      </section>
+      <section className="workload__panel">
+        <h3>週ごとの締切</h3>
+        <div className="workload__scroll">
+          <WeekBars weeks={weeks} />
+        </div>
+      </section>
+      <section className="workload__panel">
+        <h3>
+          状態の割合（完了率 {Math.round((doneCount / rows.length) * 100)}%）
+        </h3>
+        <RatioBar parts={categoryParts} total={rows.length} />
+        <ul className="workload__legend">
+          {categoryParts.map(({ key, value, color }) => (
+            <li key={key}>
+              <span
+                className="workload__swatch"
+                style={{ background: color }}
+              />
+              {key}: {value} 件
+            </li>
+          ))}
+        </ul>
+      </section>
+      <section className="workload__panel">
+        <h3>コースごとの件数と完了率</h3>
+        <table className="workload__courses">
+          <tbody>
+            {courses.map(({ course, total, done }) => (
+              <tr key={course}>
+                <th scope="row">{course || "（コース名なし）"}</th>
+                <td>{total} 件</td>
+                <td>
+                  <RatioBar
+                    width={120}
+                    total={total}
+                    parts={[
+                      { key: "完了", value: done, color: CATEGORY_COLORS.done },
+                    ]}
+                  />
+                </td>
+                <td>{Math.round((done / total) * 100)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+      <section className="workload__panel">
+        <h3>
+          締切の山場（{CRUNCH_WINDOW_HOURS} 時間以内に {CRUNCH_THRESHOLD}{" "}
+          件以上）
+        </h3>
+        {crunches.length ? (
+          <ul className="workload__crunches">
+            {crunches.map(({ start, end, rows: crunchRows }) => (
+              <li key={start.toISO()}>
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() =>
+                    onSelectRange(
+                      start.toISODate(),
+                      Math.ceil(
+                        end.endOf("day").diff(start.startOf("day"), "days")
+                          .days,
+                      ),
+                    )
+                  }
+                >
+                  ⚠️ {start.toFormat("M/d HH:mm")} 〜 {end.toFormat("M/d HH:mm")}
+                  ：{crunchRows.length} 件
+                </button>
+                <span className="workload__crunch-items">
+                  {crunchRows.map((r) => r.教材).join("、")}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="export-dialog__note">
+            締切が集中している期間はありません。
+          </p>
+        )}
+      </section>
+    </div>
+  );
+}
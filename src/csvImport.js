@@ -0,0 +1,295 @@
+import Papa from "papaparse";
+import { DateTime } from "luxon";
+
+// 取り込みに必要な列と、WebClass のバージョンごとに異なる見出しの別名
+export const COLUMN_ALIASES = {
+  締切: ["締切", "締切日", "期限"],
+  教材: ["教材", "課題", "タイトル"],
+  コース名: ["コース名", "科目名", "講義名"],
+  状態: ["状態", "ステータス", "提出状況"],
+};
+
+// 割り当ての記憶先（見出しの組み合わせごと）
+const MAPPING_STORAGE_KEY = "webclass-todo-mappings";
+
+// 表示用の文字コード名
+export const ENCODING_LABELS = {
+  "utf-8": "UTF-8",
+  "utf-8-bom": "UTF-8 (BOM 付き)",
+  shift_jis: "Shift_JIS",
+  "utf-16le": "UTF-16 LE",
+  "utf-16be": "UTF-16 BE",
+};
+
+// ヘッダー行を探すのは先頭からこの行数まで
+const HEADER_SCAN_LIMIT = 50;
+// 偶然の一致を避けるため、少なくともこの数の列名が一致した行だけを採用する
+const MIN_HEADER_MATCHES = 2;
+
+/** BOM が無い UTF-16 を、ASCII 部分に現れる 0x00 の偏りから推定する */
+const guessUtf16 = (bytes) => {
+  const len = Math.min(bytes.length, 1024) & ~1;
+  if (len < 4) return null;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < len; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+  const half = len / 2;
+  if (oddZeros > half * 0.3 && evenZeros < half * 0.05) return "utf-16le";
+  if (evenZeros > half * 0.3 && oddZeros < half * 0.05) return "utf-16be";
+  return null;
+};
+
+/**
+ * バイト列の文字コードを判定する
+ * @param {Uint8Array} bytes
+ * @returns {"utf-8"|"utf-8-bom"|"shift_jis"|"utf-16le"|"utf-16be"}
+ */
+export function detectEncoding(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return "utf-8-bom";
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+  const utf16 = guessUtf16(bytes);
+  if (utf16) return utf16;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return "utf-8";
+  } catch {
+    // UTF-8 として不正なバイト列は WebClass の既定である Shift_JIS (CP932) とみなす
+    return "shift_jis";
+  }
+}
+
+/** 判定した文字コードでテキストに変換する（BOM は取り除く） */
+export function decodeBytes(bytes) {
+  const encoding = detectEncoding(bytes);
+  const label = encoding === "utf-8-bom" ? "utf-8" : encoding;
+  // TextDecoder は既定で BOM を読み飛ばす
+  const text = new TextDecoder(label).decode(bytes);
+  return { text, encoding };
+}
+
+/** 見出しの配列から、各必須列に対応する見出し名を引く */
+export function resolveFieldMap(fields, aliases = COLUMN_ALIASES) {
+  const fieldMap = {};
+  Object.entries(aliases).forEach(([key, names]) => {
+    const found = fields.find((f) => names.includes(f.trim()));
+    if (found) fieldMap[key] = found;
+  });
+  return fieldMap;
+}
+
+/**
+ * 別名リストに最もよく一致する行をヘッダー行として返す
+ * @returns {{ index: number, matched: string[] }} 見つからなければ index は -1
+ */
+export function findHeaderRow(lines, aliases = COLUMN_ALIASES) {
+  let best = { index: -1, matched: [] };
+  const limit = Math.min(lines.length, HEADER_SCAN_LIMIT);
+  for (let i = 0; i < limit; i++) {
+    if (!lines[i].trim()) continue;
+    const [cells = []] = Papa.parse(lines[i]).data;
+    const matched = Object.keys(resolveFieldMap(cells, aliases));
+    if (matched.length < MIN_HEADER_MATCHES) continue;
+    if (matched.length > best.matched.length) best = { index: i, matched };
+    if (matched.length === Object.keys(aliases).length) break;
+  }
+  return best;
+}
+
+/**
+ * CSV ファイルを読み込み、文字コードとヘッダー行を判定する
+ * ヘッダー行が判定できない場合は先頭の空でない行を仮のヘッダーとし、headerDetected を false にする
+ * @param {File} file
+ * @returns {Promise<{ csvText: string, encoding: string, headerIndex: number, headerDetected: boolean, matched: string[] }>}
+ */
+export async function readCsvFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const { text, encoding } = decodeBytes(bytes);
+  const lines = text.split(/\r?\n/);
+  const { index, matched } = findHeaderRow(lines);
+  const headerIndex = index < 0 ? lines.findIndex((l) => l.trim()) : index;
+  return {
+    csvText: headerIndex < 0 ? "" : lines.slice(headerIndex).join("\n"),
+    encoding,
+    headerIndex,
+    headerDetected: index >= 0,
+    matched,
+  };
+}
+
+const countNewlines = (text) => text.split("\n").length - 1;
+
+/**
+ * CSV ファイルを読み込んでパースする
+ * @param {File} file
+ * @returns {Promise<{ fileName: string, encoding: string, headerRow: number, headerDetected: boolean, fields: string[], rows: Object[], rowLines: number[] } | null>}
+ *   空のファイルなどヘッダー行が無い場合は null
+ *   rowLines は各行が始まるファイル上の行番号（取り込みレポート用）
+ */
+export async function parseCsvFile(file) {
+  const { csvText, encoding, headerIndex, headerDetected } =
+    await readCsvFile(file);
+  if (headerIndex < 0) return null;
+  const rows = [];
+  const rowLines = [];
+  // 空行の読み飛ばしやセル内の改行があっても行番号がずれないよう、
+  // Papa の cursor（行の終わりの位置）までの改行を数える
+  let cursor = 0;
+  let newlines = 0;
+  const { meta } = Papa.parse(csvText, {
+    header: true,
+    skipEmptyLines: true,
+    step: ({ data, meta: { cursor: next } }) => {
+      // 行末の改行は次の行の分として数える
+      const end = csvText[next - 1] === "\n" ? next - 1 : next;
+      newlines += countNewlines(csvText.slice(cursor, end));
+      cursor = end;
+      // セル内の改行の分だけ、行の始まりは前になる
+      const inner = countNewlines(Object.values(data).flat().join(""));
+      rows.push(data);
+      rowLines.push(headerIndex + 1 + newlines - inner);
+    },
+  });
+  return {
+    fileName: file.name,
+    encoding,
+    headerRow: headerIndex + 1,
+    headerDetected,
+    fields: meta.fields,
+    rows,
+    rowLines,
+  };
+}
+
+/** 見出しの組み合わせを識別するキー */
+export const headerSignature = (fields) =>
+  fields.map((f) => f.trim()).join("\u001f");
+
+/**
+ * 見出しから列の割り当てを自動で推定する
+ * @returns {{ fields: Object<string, string>, extras: string[] }}
+ */
+export const guessMapping = (fields) => ({
+  fields: resolveFieldMap(fields),
+  extras: [],
+});
+
+/** 必須列のうち未割り当てのもの */
+export const missingColumns = (mapping) =>
+  Object.keys(COLUMN_ALIASES).filter((k) => !mapping.fields[k]);
+
+const readSavedMappings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/** 以前に保存した同じ見出し構成の割り当てを返す（無ければ null） */
+export function loadSavedMapping(fields) {
+  const saved = readSavedMappings()[headerSignature(fields)];
+  if (!saved) return null;
+  // 見出しが変わっていないか念のため確認する
+  const valid =
+    Object.values(saved.fields).every((f) => fields.includes(f)) &&
+    saved.extras.every((f) => fields.includes(f));
+  return valid ? saved : null;
+}
+
+/** 見出し構成に対する割り当てを記憶する */
+export function saveMapping(fields, mapping) {
+  const all = readSavedMappings();
+  all[headerSignature(fields)] = mapping;
+  localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(all));
+}
+
+// 「期限なし」とみなす値
+const NO_DEADLINE_VALUES = ["", "-", "ー", "―", "なし", "期限なし", "無期限"];
+
+// 2025/07/19 12:00, 2025年7月19日 23時59分, 7/19 12:00, 7月19日 など
+const DATE_PATTERN =
+  /^(?:(\d{4})\s*[/.年-]\s*)?(\d{1,2})\s*[/.月-]\s*(\d{1,2})\s*日?(?:\s*[T\s]\s*(\d{1,2})\s*[:時]\s*(\d{1,2})\s*分?(?:\s*:?\s*(\d{1,2})\s*秒?)?)?$/;
+
+/**
+ * WebClass が出力する締切の文字列を解釈する
+ * 日付だけの値はその日の 23:59 とする
+ * @param {string} value
+ * @param {string} [zone]
+ * @returns {{ dt?: DateTime, noDeadline?: boolean, reason?: string }}
+ */
+export function parseDeadline(value, zone = "Asia/Tokyo") {
+  // 全角数字・全角記号をそろえ、曜日表記 "(土)" を取り除く
+  const text = (value || "")
+    .normalize("NFKC")
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (NO_DEADLINE_VALUES.includes(text)) return { noDeadline: true };
+
+  const m = text.match(DATE_PATTERN);
+  if (!m) {
+    const iso = DateTime.fromISO(text, { zone });
+    return iso.isValid ? { dt: iso } : { reason: "日付の形式を解釈できません" };
+  }
+  const [, y, mo, d, h, mi, sec] = m;
+  const hasTime = h !== undefined;
+  const dt = DateTime.fromObject(
+    {
+      year: y ? Number(y) : DateTime.now().setZone(zone).year,
+      month: Number(mo),
+      day: Number(d),
+      hour: hasTime ? Number(h) : 23,
+      minute: hasTime ? Number(mi) : 59,
+      second: sec ? Number(sec) : 0,
+    },
+    { zone },
+  );
+  if (!dt.isValid) return { reason: "存在しない日時です" };
+  return { dt };
+}
+
+/**
+ * パース済みの行を、割り当てに従ってタスクに変換する
+ * 締切が「-」などのタスクは noDeadline を立て、解釈できない行は skipped に回す
+ * @param {Object[]} rows Papa.parse (header: true) の結果
+ * @param {{ fields: Object<string, string>, extras: string[] }} mapping
+ * @param {number[]} [rowLines] 各行のファイル上の行番号（parseCsvFile の rowLines、取り込みレポート用）
+ * @param {string} [zone] 締切を解釈するタイムゾーン
+ * @returns {{ tasks: Object[], skipped: { line: number, value: string, reason: string }[] }}
+ */
+export function buildRows(
+  rows,
+  mapping,
+  rowLines = [],
+  zone = "Asia/Tokyo",
+) {
+  const { fields, extras } = mapping;
+  const tasks = [];
+  const skipped = [];
+  rows.forEach((r, i) => {
+    const value = r[fields["締切"]] || "";
+    const { dt, noDeadline, reason } = parseDeadline(value, zone);
+    if (reason) {
+      skipped.push({ line: rowLines[i] ?? i + 2, value, reason });
+      return;
+    }
+    const row = {
+      締切: noDeadline ? DateTime.invalid("期限なし") : dt,
+      教材: r[fields["教材"]] || "",
+      コース名: r[fields["コース名"]] || "",
+      状態: r[fields["状態"]] || "",
+    };
+    if (noDeadline) row.noDeadline = true;
+    if (extras.length) {
+      row.extra = Object.fromEntries(extras.map((f) => [f, r[f] || ""]));
+    }
+    tasks.push(row);
+  });
+  return { tasks, skipped };
+}
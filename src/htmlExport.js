@@ -0,0 +1,275 @@
+import appCSS from "./index.css?raw";
+import { categoryLabel } from "./statusCategories";
+
+/**
+ * アプリと同じ配色にするため、index.css の :root の変数（ライト・ダーク）を取り出す
+ * 2 つ目の :root はダークテーマ（prefers-color-scheme: dark の中）として扱う
+ */
+function themeVariables() {
+  const [light = "", dark = ""] = appCSS.match(/:root\s*\{[^}]*\}/g) || [];
+  return `${light}\n@media (prefers-color-scheme: dark) {\n${dark}\n}`;
+}
+
+// アプリの並び替えの列と、書き出した HTML の並び替えの値の対応
+const SORT_KEYS = {
+  締切: "due",
+  教材: "title",
+  コース名: "course",
+  状態: "status",
+};
+
+const DASHBOARD_CSS = `
+* { box-sizing: border-box; }
+body {
+  margin: 0;
+  padding: 1rem;
+  background: var(--bg);
+  color: var(--text);
+  font-family: var(--font);
+  line-height: 1.5;
+}
+main { max-width: 720px; margin: auto; }
+h1 { margin: 0; font-size: 1.25rem; }
+.meta { margin: 0.25rem 0 1rem; font-size: 0.8rem; color: var(--text-secondary); }
+.controls {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  align-items: center;
+  margin-bottom: 1rem;
+}
+.controls input[type="search"] { flex: 1 1 12rem; }
+input, select, button {
+  font: inherit;
+  padding: 0.4rem 0.6rem;
+  border: 1px solid var(--border);
+  border-radius: 0.5rem;
+  background: var(--surface);
+  color: var(--text);
+}
+button { cursor: pointer; }
+label { font-size: 0.875rem; }
+.count { font-size: 0.875rem; color: var(--text-secondary); }
+ul { margin: 0; padding: 0; list-style: none; }
+.task {
+  margin-bottom: 0.5rem;
+  padding: 0.6rem 0.75rem;
+  background: var(--surface);
+  border: 1px solid var(--border);
+  border-radius: var(--radius);
+  box-shadow: var(--shadow-sm);
+}
+.task__title { font-weight: 600; }
+.task__course, .task__due { font-size: 0.8rem; color: var(--text-secondary); }
+.status-badge {
+  display: inline-block;
+  margin-left: 0.4rem;
+  padding: 0 0.45rem;
+  border: 1px solid currentColor;
+  border-radius: 9999px;
+  font-size: 0.7rem;
+  font-weight: 600;
+  white-space: nowrap;
+}
+.status-badge--pending { color: var(--primary); }
+.status-badge--overdue { color: #dc2626; }
+.status-badge--failed { color: #d97706; }
+.status-badge--done { color: #16a34a; }
+.countdown { margin-left: 0.4rem; font-size: 0.75rem; white-space: nowrap; }
+.category--overdue { box-shadow: inset 3px 0 0 #dc2626; }
+.category--overdue .countdown { color: #dc2626; }
+.category--failed { box-shadow: inset 3px 0 0 #d97706; }
+.category--done .task__title { opacity: 0.6; }
+.urgency--today { box-shadow: inset 3px 0 0 #dc2626; }
+.urgency--today .countdown { color: #dc2626; font-weight: 600; }
+.urgency--day { box-shadow: inset 3px 0 0 #ea580c; }
+.urgency--day .countdown { color: #ea580c; font-weight: 600; }
+.urgency--soon { box-shadow: inset 3px 0 0 #ca8a04; }
+.urgency--soon .countdown { color: #ca8a04; }
+.empty { color: var(--text-secondary); }
+`;
+
+/**
+ * 書き出した HTML の中で動く処理（並び替え・検索・残り時間の更新）
+ * 関数の中身をそのまま埋め込むため、外の変数や import は使わない
+ */
+function dashboardScript() {
+  const { zone, sort, tasks } = JSON.parse(
+    document.getElementById("webclass-todo-data").textContent,
+  );
+  const $ = (id) => document.getElementById(id);
+  const dateKey = new Intl.DateTimeFormat("en-CA", { timeZone: zone });
+  const dueFormat = new Intl.DateTimeFormat("ja-JP", {
+    timeZone: zone,
+    month: "numeric",
+    day: "numeric",
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  const normalize = (text) =>
+    (text || "")
+      .normalize("NFKC")
+      .toLowerCase()
+      .replace(/[ァ-ヶ]/g, (ch) =>
+        String.fromCharCode(ch.charCodeAt(0) - 0x60),
+      );
+
+  // アプリの urgencyLevel・formatCountdown と同じ判定
+  const urgency = (due, now) => {
+    if (due < now) return "";
+    if (dateKey.format(due) === dateKey.format(now)) return "today";
+    const hours = (due - now) / 3600000;
+    if (hours <= 24) return "day";
+    if (hours <= 72) return "soon";
+    return "";
+  };
+  const countdown = (due, now) => {
+    const overdue = due < now;
+    const total = Math.floor(Math.abs(due - now) / 60000);
+    const days = Math.floor(total / 1440);
+    const h = Math.floor((total % 1440) / 60);
+    const m = total % 60;
+    let text;
+    if (days > 0) text = h ? `${days}日 ${h}時間` : `${days}日`;
+    else if (h > 0) text = `${h}時間`;
+    else text = `${m}分`;
+    return overdue ? `${text}超過` : `あと ${text}`;
+  };
+
+  const render = () => {
+    const now = new Date();
+    const words = normalize($("search").value).split(/\s+/).filter(Boolean);
+    const field = $("sort").value;
+    const asc = $("order").value === "asc";
+    const hideDone = $("hide-done").checked;
+    const rows = tasks
+      .filter((t) => !hideDone || t.category !== "done")
+      .filter((t) => {
+        const text = normalize(`${t.title} ${t.course} ${t.status}`);
+        return words.every((w) => text.includes(w));
+      })
+      .sort((a, b) => {
+        // 期限なしは締切順の最後にする
+        const order =
+          field === "due"
+            ? (a.due ? Date.parse(a.due) : Infinity) -
+                (b.due ? Date.parse(b.due) : Infinity) || 0
+            : a[field].localeCompare(b[field], "ja");
+        return asc ? order : -order;
+      });
+    const list = $("tasks");
+    list.textContent = "";
+    rows.forEach((t) => {
+      const due = t.due ? new Date(t.due) : null;
+      const li = document.createElement("li");
+      const level = due && t.category !== "done" ? urgency(due, now) : "";
+      li.className = `task category--${t.category} ${
+        level ? `urgency--${level}` : ""
+      }`;
+      const title = document.createElement("div");
+      title.className = "task__title";
+      title.textContent = t.title;
+      const badge = document.createElement("span");
+      badge.className = `status-badge status-badge--${t.category}`;
+      badge.textContent = t.categoryLabel;
+      title.append(badge);
+      const course = document.createElement("div");
+      course.className = "task__course";
+      course.textContent = t.status ? `${t.course}・${t.status}` : t.course;
+      const dueLine = document.createElement("div");
+      dueLine.className = "task__due";
+      dueLine.textContent = due ? `締切 ${dueFormat.format(due)}` : "期限なし";
+      if (due && t.category !== "done") {
+        const cd = document.createElement("span");
+        cd.className = "countdown";
+        cd.textContent = countdown(due, now);
+        dueLine.append(cd);
+      }
+      li.append(title, course, dueLine);
+      list.append(li);
+    });
+    $("count").textContent = `${rows.length} / ${tasks.length} 件`;
+    $("empty").hidden = rows.length > 0;
+  };
+
+  $("sort").value = sort.field;
+  $("order").value = sort.asc ? "asc" : "desc";
+  $("search").addEventListener("input", render);
+  ["sort", "order", "hide-done"].forEach((id) => {
+    $(id).addEventListener("change", render);
+  });
+  render();
+  setInterval(render, 60 * 1000);
+}
+
+/**
+ * 抽出した課題を 1 つの HTML ファイルにまとめる
+ * CSS・データ・並び替えや検索の処理をすべて埋め込み、オフラインでもそのまま開ける
+ * @param {Object[]} rows
+ * @param {{
+ *   zone: string,
+ *   generatedAt: import("luxon").DateTime,
+ *   sortField: string,
+ *   sortAsc: boolean,
+ * }} options sortField・sortAsc は開いたときの並び順（アプリの並び順を引き継ぐ）
+ * @returns {string}
+ */
+export function buildDashboardHTML(
+  rows,
+  { zone, generatedAt, sortField, sortAsc },
+) {
+  const data = {
+    zone,
+    sort: { field: SORT_KEYS[sortField] || "due", asc: sortAsc },
+    tasks: rows.map((r) => ({
+      due: r.noDeadline ? null : r.締切.toISO(),
+      title: r.教材,
+      course: r.コース名,
+      status: r.状態,
+      category: r.category,
+      categoryLabel: categoryLabel(r.category),
+    })),
+  };
+  // </script> で埋め込みが途切れないよう < をエスケープする
+  const json = JSON.stringify(data).replace(/</g, "\\u003c");
+  const generated = generatedAt.setZone(zone).toFormat("yyyy/MM/dd HH:mm");
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>WebClass To-Do（${generated} 時点）</title>
+<style>
+${themeVariables()}
+${DASHBOARD_CSS}
+</style>
+</head>
+<body>
+<main>
+<h1>📋 WebClass To-Do</h1>
+<p class="meta">${generated} 時点の ${rows.length} 件（タイムゾーン ${zone}）</p>
+<div class="controls">
+<input id="search" type="search" placeholder="教材・コース名・状態で検索" aria-label="検索" />
+<select id="sort" aria-label="並び替え">
+<option value="due">締切</option>
+<option value="title">教材</option>
+<option value="course">コース名</option>
+<option value="status">状態</option>
+</select>
+<select id="order" aria-label="並び順">
+<option value="asc">昇順</option>
+<option value="desc">降順</option>
+</select>
+<label><input id="hide-done" type="checkbox" /> 完了を隠す</label>
+<span id="count" class="count"></span>
+</div>
+<ul id="tasks"></ul>
+<p id="empty" class="empty" hidden>当てはまる課題がありません</p>
+</main>
+<script type="application/json" id="webclass-todo-data">${json}</script>
+<script>(${dashboardScript.toString()})();</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,325 @@
+import { DateTime } from "luxon";
+import { taskIdentity, taskKey } from "./tasks";
+import { categoryLabel } from "./statusCategories";
+
+// 書き出し設定で選べる通知タイミング（締切の何分前か）
+export const ALARM_PRESETS = [
+  { minutes: 7 * 24 * 60, label: "1 週間前" },
+  { minutes: 3 * 24 * 60, label: "3 日前" },
+  { minutes: 24 * 60, label: "1 日前" },
+  { minutes: 3 * 60, label: "3 時間前" },
+  { minutes: 60, label: "1 時間前" },
+  { minutes: 30, label: "30 分前" },
+];
+
+export const DEFAULT_ICS_OPTIONS = {
+  mode: "event", // "event" = VEVENT, "todo" = VTODO
+  alarms: [24 * 60, 3 * 60],
+  // 前回書き出した課題のうち消えたものを取り消しとして書き出す
+  cancelRemoved: false,
+};
+
+const encoder = new TextEncoder();
+
+/** RFC 5545 3.3.11 の TEXT 値のエスケープ */
+export const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * RFC 5545 3.1 の折り返し（75 オクテットごと、続きの行は空白で始める）
+ * マルチバイト文字の途中では折り返さない
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    // 2 行目以降は先頭の空白 1 オクテット分を差し引く
+    const limit = parts.length ? 74 : 75;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/** 分数を TRIGGER 用の負の DURATION (-P1D, -PT3H, -PT30M) にする */
+export const alarmTrigger = (minutes) => {
+  if (minutes % (24 * 60) === 0) return `-P${minutes / (24 * 60)}D`;
+  if (minutes % 60 === 0) return `-PT${minutes / 60}H`;
+  return `-PT${minutes}M`;
+};
+
+const formatLocal = (dt, zone) =>
+  dt.setZone(zone).toFormat("yyyyMMdd'T'HHmmss");
+
+const VTIMEZONE_JST = [
+  "BEGIN:VTIMEZONE",
+  "TZID:Asia/Tokyo",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0900",
+  "TZOFFSETTO:+0900",
+  "TZNAME:JST",
+  "DTSTART:19700101T000000",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+/** 夏時間の無い（年中同じオフセットの）タイムゾーンか */
+const hasFixedOffset = (zone) => {
+  const { year } = DateTime.now().setZone(zone);
+  return (
+    DateTime.fromObject({ year, month: 1 }, { zone }).offset ===
+    DateTime.fromObject({ year, month: 7 }, { zone }).offset
+  );
+};
+
+/** 分単位のオフセットを +0900 の形にする */
+const formatOffset = (minutes) => {
+  const abs = Math.abs(minutes);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${minutes < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+};
+
+/** 固定オフセットのタイムゾーンの VTIMEZONE */
+const vtimezoneLines = (zone) => {
+  if (zone === "Asia/Tokyo") return VTIMEZONE_JST;
+  const now = DateTime.now().setZone(zone);
+  const offset = formatOffset(now.offset);
+  return [
+    "BEGIN:VTIMEZONE",
+    `TZID:${zone}`,
+    "BEGIN:STANDARD",
+    `TZOFFSETFROM:${offset}`,
+    `TZOFFSETTO:${offset}`,
+    `TZNAME:${now.offsetNameShort}`,
+    "DTSTART:19700101T000000",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ];
+};
+
+/** 文字列から決まった 64bit のハッシュ（16 進）を作る（cyrb53 の変形） */
+const hashKey = (str) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 =
+    Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^
+    Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 =
+    Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^
+    Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (
+    (h2 >>> 0).toString(16).padStart(8, "0") +
+    (h1 >>> 0).toString(16).padStart(8, "0")
+  );
+};
+
+/** 課題の識別キーから UID を作る（同じ課題なら毎回同じ UID） */
+export const taskUid = (key) => `${hashKey(key)}@webclass-todo`;
+
+const utcStamp = (dt) => dt.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+const dueMillis = (iso) => (iso ? DateTime.fromISO(iso).toMillis() : null);
+const rowDueMillis = (row) => (row.noDeadline ? null : row.締切.toMillis());
+
+/**
+ * 課題を前回の書き出し記録のキーに対応付ける
+ * 同じ課題名・コース名のうち締切も同じものを先に対応付け、残りは件数が同じときだけ
+ * 締切が変わったものとして締切順に対応付ける（同名の課題の UID が入れ替わらないように）
+ * 対応する記録が無い課題には新しいキーを割り当てる
+ * @returns {Map<Object, string>}
+ */
+function matchRecords(allRows, previous) {
+  const groups = new Map();
+  const groupOf = (identity) => {
+    if (!groups.has(identity)) groups.set(identity, { rows: [], keys: [] });
+    return groups.get(identity);
+  };
+  allRows.forEach((row) => groupOf(taskIdentity(row)).rows.push(row));
+  // 以前の記録のキーは「識別キー#締切順の番号」
+  Object.entries(previous).forEach(([key, prev]) => {
+    groupOf(prev.identity ?? key.replace(/#\d+$/, "")).keys.push(key);
+  });
+
+  const keyOf = new Map();
+  const used = new Set(Object.keys(previous));
+  const newKey = (row) => {
+    let key = taskKey(row);
+    for (let n = 2; used.has(key); n++) key = `${taskKey(row)}#${n}`;
+    used.add(key);
+    return key;
+  };
+  const byDue = (a, b) => (a ?? Infinity) - (b ?? Infinity);
+  groups.forEach(({ rows, keys }) => {
+    const rest = rows.filter((row) => {
+      const i = keys.findIndex(
+        (key) => dueMillis(previous[key].due) === rowDueMillis(row),
+      );
+      if (i < 0) return true;
+      keyOf.set(row, keys.splice(i, 1)[0]);
+      return false;
+    });
+    rest.sort((a, b) => byDue(rowDueMillis(a), rowDueMillis(b)));
+    keys.sort((a, b) =>
+      byDue(dueMillis(previous[a].due), dueMillis(previous[b].due)),
+    );
+    rest.forEach((row, i) => {
+      keyOf.set(row, rest.length === keys.length ? keys[i] : newKey(row));
+    });
+  });
+  return keyOf;
+}
+
+/**
+ * 前回の書き出し記録と比べて、各課題の UID・SEQUENCE・LAST-MODIFIED を決める
+ * 締切が変わった課題は SEQUENCE を上げ、読み込んだデータから消えた課題は cancelled に回す
+ * @param {Object[]} rows 書き出す課題
+ * @param {Object[]} allRows 読み込んでいるすべての課題（消えた課題の判定用）
+ * @param {Object<string, { uid: string, sequence: number, due: string, lastModified: string, summary: string, identity: string }>} previous
+ *   前回の書き出し記録（課題ごと、identity は taskIdentity）
+ * @returns {{ entries: Object[], cancelled: Object[], record: Object }} record は次回用の書き出し記録
+ */
+export function planCalendarUpdate(rows, allRows, previous = {}) {
+  const now = utcStamp(DateTime.utc());
+  const keyOf = matchRecords(allRows, previous);
+
+  const record = { ...previous };
+  const entries = rows.map((row) => {
+    const key = keyOf.get(row);
+    const due = row.締切.toISO();
+    const prev = previous[key];
+    const entry = {
+      row,
+      uid: prev?.uid || taskUid(key),
+      sequence: prev ? prev.sequence + (prev.due === due ? 0 : 1) : 0,
+      lastModified: prev && prev.due === due ? prev.lastModified : now,
+    };
+    record[key] = {
+      uid: entry.uid,
+      sequence: entry.sequence,
+      due,
+      lastModified: entry.lastModified,
+      summary: `${row.教材} (${row.コース名})`,
+      identity: taskIdentity(row),
+    };
+    return entry;
+  });
+
+  const current = new Set(keyOf.values());
+  const cancelled = Object.entries(previous)
+    .filter(([key]) => !current.has(key))
+    .map(([key, prev]) => {
+      delete record[key];
+      return { ...prev, sequence: prev.sequence + 1, lastModified: now };
+    });
+
+  return { entries, cancelled, record };
+}
+
+// VTODO には DTSTART が無いため、締切（DUE）からの時間として書く（RFC 5545 3.8.6.3）
+const alarmLines = (alarms, text, component) =>
+  alarms.flatMap((minutes) => [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${escapeText(text)}`,
+    component === "VTODO"
+      ? `TRIGGER;RELATED=END:${alarmTrigger(minutes)}`
+      : `TRIGGER:${alarmTrigger(minutes)}`,
+    "END:VALARM",
+  ]);
+
+// 夏時間のあるタイムゾーンは VTIMEZONE を書かずに UTC で表す
+const timeLines = (component, due, zone) => {
+  const value = hasFixedOffset(zone)
+    ? `;TZID=${zone}:${formatLocal(due, zone)}`
+    : `:${utcStamp(due)}`;
+  return component === "VTODO"
+    ? [`DUE${value}`]
+    : [`DTSTART${value}`, `DTEND${value}`];
+};
+
+const wrapCalendar = (method, zone, body) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//WebClass ToDo//JP",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    `X-WR-TIMEZONE:${zone}`,
+    ...(hasFixedOffset(zone) ? vtimezoneLines(zone) : []),
+    ...body,
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
+
+const cancelledLines = (cancelled, component, zone, now) =>
+  cancelled.flatMap((c) => [
+    `BEGIN:${component}`,
+    `UID:${c.uid}`,
+    `DTSTAMP:${now}`,
+    `SEQUENCE:${c.sequence}`,
+    `LAST-MODIFIED:${c.lastModified}`,
+    ...timeLines(component, DateTime.fromISO(c.due), zone),
+    `SUMMARY:${escapeText(c.summary)}`,
+    "STATUS:CANCELLED",
+    `END:${component}`,
+  ]);
+
+/**
+ * planCalendarUpdate の結果を iCalendar 形式の文字列にする
+ * options.cancelRemoved のときは消えた課題を STATUS:CANCELLED で含める
+ * @param {{ entries: Object[], cancelled: Object[] }} plan
+ * @param {{ mode: "event"|"todo", alarms: number[], cancelRemoved: boolean }} options
+ * @param {string} [zone] 日時を表すタイムゾーン
+ */
+export function buildICS(
+  plan,
+  options = DEFAULT_ICS_OPTIONS,
+  zone = "Asia/Tokyo",
+) {
+  const component = options.mode === "todo" ? "VTODO" : "VEVENT";
+  const now = utcStamp(DateTime.utc());
+  const body = plan.entries.flatMap(({ row: r, uid, sequence, lastModified }) => {
+    const description = [
+      `コース: ${r.コース名}`,
+      `状態: ${r.状態 || "未設定"}（${categoryLabel(r.category)}）`,
+    ].join("\n");
+    return [
+      `BEGIN:${component}`,
+      `UID:${uid}`,
+      `DTSTAMP:${now}`,
+      `SEQUENCE:${sequence}`,
+      `LAST-MODIFIED:${lastModified}`,
+      ...timeLines(component, r.締切, zone),
+      ...(component === "VTODO"
+        ? [`STATUS:${r.category === "done" ? "COMPLETED" : "NEEDS-ACTION"}`]
+        : []),
+      `SUMMARY:${escapeText(`${r.教材} (${r.コース名})`)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      ...(r.コース名 ? [`CATEGORIES:${escapeText(r.コース名)}`] : []),
+      ...alarmLines(options.alarms, r.教材, component),
+      `END:${component}`,
+    ];
+  });
+  if (options.cancelRemoved) {
+    body.push(...cancelledLines(plan.cancelled, component, zone, now));
+  }
+  return wrapCalendar("PUBLISH", zone, body);
+}
@@ -0,0 +1,359 @@
+import { DateTime } from "luxon";
+import { formatCountdown, urgencyLevel } from "./urgency";
+
+/**
+ * 画像テンプレート（書き出す画像の大きさと、時計・操作ボタンなどに隠れる上下の余白）
+ * safeTop・safeBottom は高さに対する割合
+ */
+export const IMAGE_TEMPLATES = [
+  {
+    value: "lockscreen",
+    label: "iPhone ロック画面",
+    width: 1179,
+    height: 2556,
+    safeTop: 0.34, // 日付・時計・ウィジェット
+    safeBottom: 0.14, // 懐中電灯・カメラ・ホームバー
+  },
+  {
+    value: "story",
+    label: "ストーリー（1080×1920）",
+    width: 1080,
+    height: 1920,
+    safeTop: 0.13, // アカウント名・進行バー
+    safeBottom: 0.18, // 返信欄
+  },
+  {
+    value: "square",
+    label: "正方形（1080×1080）",
+    width: 1080,
+    height: 1080,
+    safeTop: 0.05,
+    safeBottom: 0.05,
+  },
+];
+
+export const IMAGE_THEMES = [
+  {
+    value: "light",
+    label: "ライト",
+    bg: "#f9fafb",
+    text: "#1f2937",
+    muted: "#6b7280",
+    border: "#e5e7eb",
+    accent: "#3b82f6",
+    urgency: { today: "#dc2626", day: "#ea580c", soon: "#ca8a04" },
+  },
+  {
+    value: "dark",
+    label: "ダーク",
+    bg: "#121212",
+    text: "#e0e0e0",
+    muted: "#9e9e9e",
+    border: "#333333",
+    accent: "#60a5fa",
+    urgency: { today: "#f87171", day: "#fb923c", soon: "#facc15" },
+  },
+  {
+    value: "contrast",
+    label: "ハイコントラスト",
+    bg: "#000000",
+    text: "#ffffff",
+    muted: "#ffffff",
+    border: "#ffffff",
+    accent: "#ffff00",
+    urgency: { today: "#ffff00", day: "#ffff00", soon: "#00ffff" },
+  },
+];
+
+// 入り切らないときの扱い
+export const IMAGE_OVERFLOW_MODES = [
+  { value: "paginate", label: "複数枚に分ける" },
+  { value: "truncate", label: "1 枚に収めて残りを省略" },
+];
+
+export const DEFAULT_IMAGE_OPTIONS = {
+  template: "lockscreen",
+  theme: "dark",
+  overflow: "paginate",
+};
+
+// 幅 1080px のときの大きさ（px）。ほかの幅では比例させる
+const BASE_WIDTH = 1080;
+const SIZES = {
+  padding: 72,
+  header: 150,
+  day: 76,
+  task: 118,
+  footer: 64,
+  title: 52,
+  dayFont: 34,
+  taskFont: 38,
+  subFont: 28,
+};
+
+const WEEKDAYS = ["月", "火", "水", "木", "金", "土", "日"];
+
+/** 全角を 1、半角を 0.55 文字分として、幅 maxEm に収まるよう末尾を … にする */
+export function truncateText(text, maxEm) {
+  let width = 0;
+  let out = "";
+  for (const ch of text) {
+    width += /[\u0000-\u00ff\uff61-\uff9f]/.test(ch) ? 0.55 : 1;
+    if (width > maxEm) return `${out.slice(0, -1)}…`;
+    out += ch;
+  }
+  return out;
+}
+
+/**
+ * 締切日ごとにまとめる（締切順、期限なしは最後）
+ * @returns {{ key: string, label: string, rows: Object[] }[]}
+ */
+export function groupByDay(rows, zone, now) {
+  const today = now.setZone(zone).startOf("day");
+  const groups = new Map();
+  [...rows]
+    .sort(
+      (a, b) =>
+        (a.noDeadline ? Infinity : a.締切.toMillis()) -
+          (b.noDeadline ? Infinity : b.締切.toMillis()) || 0,
+    )
+    .forEach((r) => {
+      const key = r.noDeadline ? "none" : r.締切.setZone(zone).toISODate();
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    });
+  return [...groups].map(([key, dayRows]) => {
+    if (key === "none") return { key, label: "期限なし", rows: dayRows };
+    const date = DateTime.fromISO(key, { zone });
+    const diff = Math.round(date.diff(today, "days").days);
+    const relative = { 0: "今日", 1: "明日" }[diff];
+    const label = `${date.toFormat("M/d")}（${WEEKDAYS[date.weekday - 1]}）${
+      relative ? ` ${relative}` : ""
+    }`;
+    return { key, label, rows: dayRows };
+  });
+}
+
+/**
+ * 1 枚に入る高さに合わせて、日ごとのまとまりをページに割り振る
+ * 日の途中でページが変わるときは、次のページに「（続き）」の見出しを付ける
+ * @param {ReturnType<typeof groupByDay>} groups
+ * @param {number} capacity 1 枚に使える高さ（px）
+ * @param {{ day: number, task: number }} sizes
+ * @returns {{ label: string, rows: Object[] }[][]}
+ */
+export function paginate(groups, capacity, sizes) {
+  const pages = [[]];
+  let used = 0;
+  groups.forEach(({ label, rows }) => {
+    let current = null;
+    rows.forEach((r) => {
+      const height = sizes.task + (current ? 0 : sizes.day);
+      if (used > 0 && used + height > capacity) {
+        pages.push([]);
+        used = 0;
+        if (current) {
+          current = { label: `${label}（続き）`, rows: [] };
+          pages[pages.length - 1].push(current);
+          used += sizes.day;
+        }
+      }
+      if (!current) {
+        current = { label, rows: [] };
+        pages[pages.length - 1].push(current);
+        used += sizes.day;
+      }
+      current.rows.push(r);
+      used += sizes.task;
+    });
+  });
+  return pages.filter((page) => page.length);
+}
+
+const el = (tag, style, text) => {
+  const node = document.createElement(tag);
+  Object.assign(node.style, style);
+  if (text !== undefined) node.textContent = text;
+  return node;
+};
+
+/**
+ * テンプレートの大きさの画像にする要素をページごとに作る（html2canvas で写す用）
+ * @param {Object[]} rows
+ * @param {{
+ *   template: string,
+ *   theme: string,
+ *   overflow: "paginate"|"truncate",
+ *   zone: string,
+ *   now: import("luxon").DateTime,
+ * }} options
+ * @returns {{ element: HTMLElement, width: number, height: number }[]}
+ */
+export function buildTemplatePages(rows, options) {
+  const template = IMAGE_TEMPLATES.find((t) => t.value === options.template);
+  const theme = IMAGE_THEMES.find((t) => t.value === options.theme);
+  const { width, height } = template;
+  const scale = width / BASE_WIDTH;
+  const size = Object.fromEntries(
+    Object.entries(SIZES).map(([key, value]) => [
+      key,
+      Math.round(value * scale),
+    ]),
+  );
+  const top = Math.round(height * template.safeTop) + size.padding / 2;
+  const bottom = Math.round(height * template.safeBottom) + size.padding / 2;
+  const capacity = height - top - bottom - size.header - size.footer;
+
+  const groups = groupByDay(rows, options.zone, options.now);
+  let pages = paginate(groups, capacity, size);
+  let omitted = 0;
+  if (options.overflow === "truncate" && pages.length > 1) {
+    // 「ほか n 件」の行の分を空けて 1 枚目だけにする
+    pages = paginate(groups, capacity - size.task, size).slice(0, 1);
+    const shown = pages[0].reduce((n, g) => n + g.rows.length, 0);
+    omitted = rows.length - shown;
+  }
+  if (!pages.length) pages = [[]];
+
+  // 文字数で切り詰めるときの 1 行の幅（全角文字数）
+  const lineEm = (fontSize, reserved = 0) =>
+    (width - size.padding * 2 - reserved) / fontSize;
+
+  return pages.map((page, pageIndex) => {
+    const root = el("div", {
+      position: "fixed",
+      left: "-10000px",
+      top: "0",
+      width: `${width}px`,
+      height: `${height}px`,
+      boxSizing: "border-box",
+      padding: `${top}px ${size.padding}px ${bottom}px`,
+      background: theme.bg,
+      color: theme.text,
+      fontFamily: '"Noto Sans JP", "Helvetica Neue", Arial, sans-serif',
+      overflow: "hidden",
+      display: "flex",
+      flexDirection: "column",
+    });
+
+    const header = el("div", { height: `${size.header}px`, flexShrink: "0" });
+    header.append(
+      el(
+        "div",
+        { fontSize: `${size.title}px`, fontWeight: "700", lineHeight: "1.3" },
+        "📋 締切一覧",
+      ),
+      el(
+        "div",
+        { fontSize: `${size.subFont}px`, color: theme.muted },
+        `${options.now.setZone(options.zone).toFormat("M/d HH:mm")} 時点・${
+          rows.length
+        } 件`,
+      ),
+    );
+    root.append(header);
+
+    const body = el("div", { flex: "1", overflow: "hidden" });
+    page.forEach(({ label, rows: dayRows }) => {
+      body.append(
+        el(
+          "div",
+          {
+            height: `${size.day}px`,
+            display: "flex",
+            alignItems: "flex-end",
+            paddingBottom: `${Math.round(size.day * 0.15)}px`,
+            boxSizing: "border-box",
+            fontSize: `${size.dayFont}px`,
+            fontWeight: "700",
+            color: theme.accent,
+            borderBottom: `${Math.max(2, Math.round(2 * scale))}px solid ${
+              theme.border
+            }`,
+          },
+          label,
+        ),
+      );
+      dayRows.forEach((r) => {
+        const level = r.noDeadline ? null : urgencyLevel(r.締切, options.now);
+        const mark = level ? theme.urgency[level] : theme.border;
+        const task = el("div", {
+          height: `${size.task}px`,
+          boxSizing: "border-box",
+          padding: `${Math.round(size.task * 0.12)}px 0 0 ${size.padding / 3}px`,
+          borderLeft: `${Math.round(8 * scale)}px solid ${mark}`,
+        });
+        const time = r.noDeadline
+          ? ""
+          : `${r.締切.setZone(options.zone).toFormat("HH:mm")} `;
+        task.append(
+          el(
+            "div",
+            {
+              fontSize: `${size.taskFont}px`,
+              fontWeight: "600",
+              whiteSpace: "nowrap",
+            },
+            time +
+              truncateText(
+                r.教材,
+                lineEm(size.taskFont, size.padding / 3) - time.length * 0.55,
+              ),
+          ),
+        );
+        const countdown = r.noDeadline
+          ? ""
+          : `・${formatCountdown(r.締切, options.now)}`;
+        task.append(
+          el(
+            "div",
+            {
+              fontSize: `${size.subFont}px`,
+              color: level ? theme.urgency[level] : theme.muted,
+              whiteSpace: "nowrap",
+            },
+            truncateText(
+              r.コース名,
+              lineEm(size.subFont, size.padding / 3) - countdown.length,
+            ) + countdown,
+          ),
+        );
+        body.append(task);
+      });
+    });
+    if (!rows.length) {
+      body.append(
+        el(
+          "div",
+          { fontSize: `${size.taskFont}px`, color: theme.muted },
+          "締切の近い課題はありません 🎉",
+        ),
+      );
+    }
+    root.append(body);
+
+    const footerText = [
+      omitted ? `ほか ${omitted} 件` : "",
+      pages.length > 1 ? `${pageIndex + 1} / ${pages.length}` : "",
+    ]
+      .filter(Boolean)
+      .join("　");
+    root.append(
+      el(
+        "div",
+        {
+          height: `${size.footer}px`,
+          flexShrink: "0",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "flex-end",
+          fontSize: `${size.subFont}px`,
+          color: theme.muted,
+        },
+        footerText,
+      ),
+    );
+    return { element: root, width, height };
+  });
+}
@@ -2,5 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
 import './index.css';
+import { registerServiceWorker } from './pwa';
 
 ReactDOM.createRoot(document.getElementById('root')).render(<App />);
+registerServiceWorker();
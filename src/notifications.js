@@ -0,0 +1,127 @@
+import { DateTime } from "luxon";
+import { taskIdentity, taskKey } from "./tasks";
+import { formatCountdown } from "./urgency";
+
+const NOTIFY_PREFS_KEY = "webclass-todo-notify";
+// 通知済みの記録 {[tag]: 締切の ISO 文字列}（締切を過ぎたものは消す）
+const NOTIFY_SENT_KEY = "webclass-todo-notify-sent";
+
+// 通知のタイミング（締切の何分前か）
+export const NOTIFY_OFFSET_OPTIONS = [
+  { minutes: 3 * 24 * 60, label: "3 日前" },
+  { minutes: 24 * 60, label: "1 日前" },
+  { minutes: 3 * 60, label: "3 時間前" },
+  { minutes: 60, label: "1 時間前" },
+  { minutes: 15, label: "15 分前" },
+];
+
+export const offsetLabel = (minutes) =>
+  NOTIFY_OFFSET_OPTIONS.find((o) => o.minutes === minutes)?.label ||
+  `${minutes} 分前`;
+
+/** 通知の設定の既定値 */
+export const defaultNotifyPrefs = () => ({
+  enabled: false,
+  offsets: [24 * 60, 60],
+  muted: [], // 通知しない課題の taskKey（同名の課題を区別するため締切も含む）
+});
+
+export function loadNotifyPrefs() {
+  const defaults = defaultNotifyPrefs();
+  try {
+    return {
+      ...defaults,
+      ...JSON.parse(localStorage.getItem(NOTIFY_PREFS_KEY)),
+    };
+  } catch {
+    return defaults;
+  }
+}
+
+export function saveNotifyPrefs(prefs) {
+  localStorage.setItem(NOTIFY_PREFS_KEY, JSON.stringify(prefs));
+}
+
+/** 通知の許可の状態（"granted" | "denied" | "default" | "unsupported"） */
+export const notificationPermission = () =>
+  typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+
+/**
+ * 課題ごと・タイミングごとの通知の予定（通知する時刻順）
+ * 締切を過ぎた課題とミュートした課題は含めない
+ * @param {Object[]} rows 通知の対象にする未完了の課題
+ * @param {ReturnType<typeof defaultNotifyPrefs>} prefs
+ * @param {import("luxon").DateTime} now
+ * @returns {{ tag: string, at: import("luxon").DateTime, minutes: number, row: Object }[]}
+ */
+export function scheduleNotifications(rows, prefs, now) {
+  const muted = new Set(prefs.muted);
+  return rows
+    .filter((r) => !r.noDeadline && r.締切 > now)
+    .filter((r) => !muted.has(taskKey(r)))
+    .flatMap((r) =>
+      prefs.offsets.map((minutes) => ({
+        // 締切が変われば別の通知として扱う
+        tag: `${taskIdentity(r)}@${r.締切.toMillis()}#${minutes}`,
+        at: r.締切.minus({ minutes }),
+        minutes,
+        row: r,
+      })),
+    )
+    .sort((a, b) => a.at.toMillis() - b.at.toMillis());
+}
+
+/**
+ * 今通知するもの（通知時刻を過ぎて、まだ通知していないもの）
+ * アプリを閉じていた間に複数のタイミングを過ぎた課題は、締切に近い方だけを通知する
+ * @param {ReturnType<typeof scheduleNotifications>} schedule
+ * @param {Object<string, string>} sent loadSentLog の結果
+ * @returns {{ show: Object[], passed: Object[] }} passed は通知済みとして記録するもの
+ */
+export function dueNotifications(schedule, sent, now) {
+  const passed = schedule.filter((item) => item.at <= now && !sent[item.tag]);
+  const latest = new Map();
+  passed.forEach((item) => latest.set(taskKey(item.row), item));
+  return { show: [...latest.values()], passed };
+}
+
+export function loadSentLog(now) {
+  try {
+    const sent = JSON.parse(localStorage.getItem(NOTIFY_SENT_KEY)) || {};
+    return Object.fromEntries(
+      Object.entries(sent).filter(([, due]) => DateTime.fromISO(due) > now),
+    );
+  } catch {
+    return {};
+  }
+}
+
+export function saveSentLog(sent) {
+  localStorage.setItem(NOTIFY_SENT_KEY, JSON.stringify(sent));
+}
+
+/**
+ * 締切の通知を出す
+ * Android の Chrome はページからの new Notification に対応していないため、
+ * Service Worker が動いていればそちらから出す
+ */
+export async function showDeadlineNotification(item, now, zone) {
+  const r = item.row;
+  const title = `⏰ ${r.教材}`;
+  const options = {
+    body: `${r.コース名}\n締切 ${r.締切
+      .setZone(zone)
+      .toFormat("M/d HH:mm")}（${formatCountdown(r.締切, now)}）`,
+    tag: item.tag,
+    icon: "/icon-192.png",
+  };
+  const registration =
+    "serviceWorker" in navigator
+      ? await navigator.serviceWorker.getRegistration()
+      : null;
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+}
@@ -0,0 +1,86 @@
+import { DateTime } from "luxon";
+
+// 用紙（mm）。B5 は日本で一般的な JIS B5
+export const PLANNER_PAPERS = [
+  { value: "A4", label: "A4", width: 210, height: 297 },
+  { value: "JIS-B5", label: "B5", width: 182, height: 257 },
+];
+
+export const PLANNER_ORIENTATIONS = [
+  { value: "landscape", label: "横向き" },
+  { value: "portrait", label: "縦向き" },
+];
+
+export const DEFAULT_PLANNER_OPTIONS = {
+  paper: "A4",
+  orientation: "landscape",
+};
+
+// 用紙の余白（mm）
+export const PLANNER_MARGIN = 10;
+
+const WEEKDAYS = ["月", "火", "水", "木", "金", "土", "日"];
+
+/**
+ * 印刷する 1 ページ分の高さ（余白を除いた mm）
+ * @returns {{ size: string, height: number }} size は @page の size の値
+ */
+export function plannerPageSize({ paper, orientation }) {
+  const p = PLANNER_PAPERS.find((x) => x.value === paper) || PLANNER_PAPERS[0];
+  const landscape = orientation === "landscape";
+  return {
+    size: `${p.value} ${landscape ? "landscape" : "portrait"}`,
+    height: (landscape ? p.width : p.height) - PLANNER_MARGIN * 2,
+  };
+}
+
+/**
+ * 週ごと（月曜始まり）・曜日ごとに課題を振り分ける
+ * 抽出期間と課題の締切の両方が入るよう、最初と最後の週を決める
+ * @param {Object[]} rows
+ * @param {{ zone: string, startDate: string, endDate: string }} range
+ * @returns {{
+ *   weeks: {
+ *     start: DateTime,
+ *     end: DateTime,
+ *     days: { date: DateTime, label: string, rows: Object[] }[],
+ *   }[],
+ *   noDeadline: Object[],
+ * }}
+ */
+export function buildPlannerWeeks(rows, { zone, startDate, endDate }) {
+  const dated = rows
+    .filter((r) => !r.noDeadline)
+    .sort((a, b) => a.締切.toMillis() - b.締切.toMillis());
+  const dates = [
+    DateTime.fromISO(startDate, { zone }),
+    DateTime.fromISO(endDate, { zone }),
+    ...dated.map((r) => r.締切.setZone(zone)),
+  ].filter((d) => d.isValid);
+  const noDeadline = rows.filter((r) => r.noDeadline);
+  // 開始日が空で課題も無いときは、印刷する週が無い
+  if (!dates.length) return { weeks: [], noDeadline };
+  const first = DateTime.min(...dates).startOf("week");
+  const last = DateTime.max(...dates).startOf("week");
+
+  const byDate = new Map();
+  dated.forEach((r) => {
+    const key = r.締切.setZone(zone).toISODate();
+    if (!byDate.has(key)) byDate.set(key, []);
+    byDate.get(key).push(r);
+  });
+
+  const weeks = [];
+  for (let start = first; start <= last; start = start.plus({ weeks: 1 })) {
+    const days = Array.from({ length: 7 }, (_, i) => {
+      const date = start.plus({ days: i });
+      return {
+        date,
+        label: `${date.toFormat("M/d")}（${WEEKDAYS[i]}）`,
+        rows: byDate.get(date.toISODate()) || [],
+      };
+    });
+    weeks.push({ start, end: start.plus({ days: 6 }), days });
+  }
+  return { weeks, noDeadline };
+}
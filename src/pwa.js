@@ -0,0 +1,52 @@
+// 共有シートから受け取った CSV を Service Worker が置いておくキャッシュ（sw.js と同じ名前）
+const SHARE_CACHE = "webclass-todo-share";
+// 共有シートから開き直したときに付くクエリ
+const SHARE_TARGET_PARAM = "share-target";
+
+/** Service Worker を登録する（ビルドしたものだけ。開発サーバーでは登録しない） */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((e) => {
+      console.error("Service Worker registration failed:", e);
+    });
+  });
+}
+
+/**
+ * 共有シートから受け取った CSV を取り出す（取り出したものはキャッシュから消す）
+ * @returns {Promise<File[]>}
+ */
+export async function takeSharedFiles() {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(SHARE_TARGET_PARAM)) return [];
+  url.searchParams.delete(SHARE_TARGET_PARAM);
+  window.history.replaceState(window.history.state, "", url.href);
+  if (typeof caches === "undefined") return [];
+  const cache = await caches.open(SHARE_CACHE);
+  const requests = await cache.keys();
+  return Promise.all(
+    requests.map(async (request) => {
+      const response = await cache.match(request);
+      await cache.delete(request);
+      const name = decodeURIComponent(
+        response.headers.get("X-File-Name") || "shared.csv",
+      );
+      return new File([await response.blob()], name, {
+        type: response.headers.get("Content-Type") || "text/csv",
+      });
+    }),
+  );
+}
+
+/**
+ * 「このアプリで開く」で渡された CSV を受け取る（File Handling API）
+ * @param {(files: File[]) => void} onFiles
+ */
+export function consumeLaunchFiles(onFiles) {
+  if (!("launchQueue" in window)) return;
+  window.launchQueue.setConsumer(async ({ files }) => {
+    if (!files?.length) return;
+    onFiles(await Promise.all(files.map((handle) => handle.getFile())));
+  });
+}
@@ -0,0 +1,130 @@
+import { taskKey } from "./tasks";
+import { categoryLabel } from "./statusCategories";
+
+// 送信ダイアログで選べるアラーム（締切の何分前か、null = なし）
+export const REMINDER_ALARM_OPTIONS = [
+  { minutes: null, label: "なし" },
+  { minutes: 0, label: "締切時刻" },
+  { minutes: 60, label: "1 時間前" },
+  { minutes: 3 * 60, label: "3 時間前" },
+  { minutes: 24 * 60, label: "1 日前" },
+  { minutes: 3 * 24 * 60, label: "3 日前" },
+];
+
+/** 送信ダイアログの既定値 */
+export const defaultReminderPrefs = () => ({
+  excludedCategories: [], // 送信しない状態の区分
+  deselected: [], // 個別に外した課題の taskKey（同名の課題を区別するため締切も含む）
+  listName: "",
+  alarmMinutes: null,
+  sortAsc: true,
+  deliveryMode: "auto",
+  batchSize: 20,
+});
+
+/** ダイアログの設定に従って送信対象を選ぶ（締切順） */
+export function selectReminderItems(rows, prefs) {
+  const excluded = new Set(prefs.excludedCategories);
+  const deselected = new Set(prefs.deselected);
+  return rows
+    .filter((r) => !excluded.has(r.category))
+    .filter((r) => !deselected.has(taskKey(r)))
+    .sort((a, b) =>
+      prefs.sortAsc
+        ? a.締切.toMillis() - b.締切.toMillis()
+        : b.締切.toMillis() - a.締切.toMillis(),
+    );
+}
+
+/**
+ * ショートカットに渡す JSON を作る
+ * @param {string} [zone] dueDate・alarmDate を表すタイムゾーン
+ * @returns {{ list?: string, tasks: { title: string, note: string, dueDate: string, alarmDate?: string }[] }}
+ */
+export function buildReminderPayload(items, prefs, zone = "Asia/Tokyo") {
+  const payload = {};
+  if (prefs.listName.trim()) payload.list = prefs.listName.trim();
+  payload.tasks = items.map((item) => {
+    const due = item.締切.setZone(zone);
+    const task = {
+      title: `${item.教材} (${item.コース名})`,
+      note: `状態: ${item.状態 || "未設定"}（${categoryLabel(item.category)}）`,
+      dueDate: due.toISO(),
+    };
+    if (prefs.alarmMinutes !== null) {
+      task.alarmDate = due.minus({ minutes: prefs.alarmMinutes }).toISO();
+    }
+    return task;
+  });
+  return payload;
+}
+
+// iOS で確実に起動できる shortcuts:// URL の長さの目安
+export const MAX_SHORTCUT_URL_LENGTH = 4000;
+
+// ショートカットへの渡し方
+export const REMINDER_DELIVERY_MODES = [
+  { value: "auto", label: "自動（長い場合は分割）" },
+  { value: "batches", label: "分割して順番に送信" },
+  { value: "clipboard", label: "クリップボード経由" },
+  { value: "file", label: "ファイルを共有" },
+];
+
+/** テキストを入力としてショートカットを起動する URL */
+export const shortcutTextUrl = (name, text) =>
+  `shortcuts://run-shortcut?name=${encodeURIComponent(
+    name,
+  )}&input=text&text=${encodeURIComponent(text)}`;
+
+/** クリップボードの内容を入力としてショートカットを起動する URL */
+export const shortcutClipboardUrl = (name) =>
+  `shortcuts://run-shortcut?name=${encodeURIComponent(name)}&input=clipboard`;
+
+/**
+ * URL の長さと 1 回あたりの件数に収まるようにタスクを分割する
+ * 各バッチには batch: {index, total} の進捗マーカーを付ける
+ * @param {{ list?: string, tasks: Object[] }} payload
+ * @param {string} shortcutName
+ * @param {number} batchSize 1 回あたりの最大件数
+ * @returns {Object[]} バッチごとの payload
+ */
+export function chunkPayload(
+  payload,
+  shortcutName,
+  batchSize,
+  maxLength = MAX_SHORTCUT_URL_LENGTH,
+) {
+  // 進捗マーカーの桁が増えても収まるよう、大きめの値で長さを測る
+  const urlLength = (tasks) =>
+    shortcutTextUrl(
+      shortcutName,
+      JSON.stringify({ ...payload, tasks, batch: { index: 999, total: 999 } }),
+    ).length;
+
+  const chunks = [];
+  let current = [];
+  payload.tasks.forEach((task) => {
+    const next = [...current, task];
+    if (
+      current.length &&
+      (next.length > batchSize || urlLength(next) > maxLength)
+    ) {
+      chunks.push(current);
+      current = [task];
+    } else {
+      current = next;
+    }
+  });
+  if (current.length) chunks.push(current);
+
+  return chunks.map((tasks, i) => ({
+    ...payload,
+    tasks,
+    batch: { index: i + 1, total: chunks.length },
+  }));
+}
+
+/** 1 回の URL で送れる長さか */
+export const fitsInSingleUrl = (payload, shortcutName) =>
+  shortcutTextUrl(shortcutName, JSON.stringify(payload)).length <=
+  MAX_SHORTCUT_URL_LENGTH;
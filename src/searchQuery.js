@@ -0,0 +1,157 @@
+import { categoryLabel } from "./statusCategories";
+
+// 検索欄の下に出す書き方の例
+export const QUERY_HINT =
+  '例: 統計 course:"データ 科学" -status:完了 レポート OR 小テスト due:<3d';
+
+const FIELDS = ["title", "course", "status", "due"];
+const DUE_UNITS = { h: "hours", d: "days", w: "weeks" };
+
+/**
+ * 比較用に文字列をそろえる
+ * 全角・半角 (NFKC)、大文字・小文字、カタカナ・ひらがなの違いを無視する
+ */
+export const normalizeText = (text) =>
+  (text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, (ch) =>
+      String.fromCharCode(ch.charCodeAt(0) - 0x60),
+    );
+
+/** 検索文字列を語に分ける（"..." は 1 語、先頭の - は除外、OR は区切り） */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i += 1;
+      continue;
+    }
+    const token = { negate: false, field: null, value: "" };
+    if (text[i] === "-" && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      token.negate = true;
+      i += 1;
+    }
+    const field = text.slice(i).match(/^([a-z]+):/i);
+    if (field && FIELDS.includes(field[1].toLowerCase())) {
+      token.field = field[1].toLowerCase();
+      i += field[0].length;
+    } else if (field) {
+      const usable = FIELDS.map((f) => `${f}:`).join(" ");
+      throw new Error(`「${field[1]}:」は使えません（${usable} が使えます）`);
+    }
+    if (text[i] === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) throw new Error("引用符 \" が閉じられていません");
+      token.value = text.slice(i + 1, end);
+      token.quoted = true;
+      i = end + 1;
+    } else {
+      const start = i;
+      while (i < text.length && !/\s/.test(text[i])) i += 1;
+      token.value = text.slice(start, i);
+    }
+    const isPlain = !token.negate && !token.field && !token.quoted;
+    if (isPlain && token.value === "OR") {
+      tokens.push({ or: true });
+    } else {
+      if (!token.value) {
+        const prefix = token.field ? `${token.field}:` : "-";
+        throw new Error(`${prefix} の後に語を入れてください`);
+      }
+      tokens.push(token);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * due: の値を判定関数にする
+ * <3d / >1w / <=24h（今からの時間）、today、overdue、2025-07-19 に対応する
+ */
+function compileDue(value) {
+  const v = value.toLowerCase();
+  if (v === "today") {
+    return (d, now) => d.setZone(now.zone).hasSame(now, "day");
+  }
+  if (v === "overdue") return (d, now) => d < now;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+    return (d) => d.toISODate() === v;
+  }
+  const m = v.match(/^(<=|>=|<|>)?(\d+)([hdw])$/);
+  if (!m) {
+    throw new Error(
+      "due: の書き方が正しくありません（例: due:<3d due:>1w due:today）",
+    );
+  }
+  const [, op = "<=", amount, unit] = m;
+  return (d, now) => {
+    const limit = now.plus({ [DUE_UNITS[unit]]: Number(amount) });
+    if (op === "<") return d < limit;
+    if (op === ">") return d > limit;
+    if (op === ">=") return d >= limit;
+    return d <= limit;
+  };
+}
+
+function compileTerm({ field, value, negate }) {
+  let test;
+  if (field === "due") {
+    const due = compileDue(value);
+    test = (r, now) => !r.noDeadline && due(r.締切, now);
+  } else {
+    const needle = normalizeText(value);
+    const has = (text) => normalizeText(text).includes(needle);
+    if (field === "title") test = (r) => has(r.教材);
+    else if (field === "course") test = (r) => has(r.コース名);
+    else if (field === "status") {
+      // 元の状態の文字列のほか、区分名（完了など）や区分の英名（done など）でも探せる
+      // 区分名は「未完了」が「完了」を含むため、部分一致ではなく一致で比べる
+      test = (r) =>
+        has(r.状態) ||
+        normalizeText(categoryLabel(r.category)) === needle ||
+        r.category === needle;
+    } else test = (r) => has(r.教材) || has(r.コース名);
+  }
+  return negate ? (r, now) => !test(r, now) : test;
+}
+
+/**
+ * 検索文字列を解釈する
+ * 空白で区切った条件はすべて満たすもの (AND)、OR でつないだ条件はどれかを満たすものに絞る
+ * @param {string} text
+ * @returns {{ groups: Function[][], error: string | null }}
+ *   groups は OR でつないだ条件のまとまりの並び（空なら絞り込まない）
+ */
+export function parseQuery(text) {
+  try {
+    const groups = [];
+    let pendingOr = false;
+    tokenize(text || "").forEach((token, i, tokens) => {
+      if (token.or) {
+        if (!groups.length || pendingOr || i === tokens.length - 1) {
+          throw new Error("OR の前後には条件を入れてください");
+        }
+        pendingOr = true;
+        return;
+      }
+      const term = compileTerm(token);
+      if (pendingOr) groups[groups.length - 1].push(term);
+      else groups.push([term]);
+      pendingOr = false;
+    });
+    return { groups, error: null };
+  } catch (e) {
+    return { groups: [], error: e.message };
+  }
+}
+
+/**
+ * parseQuery の結果にタスクが当てはまるか
+ * @param {ReturnType<typeof parseQuery>} query
+ * @param {Object} r
+ * @param {import("luxon").DateTime} now
+ */
+export const matchesQuery = (query, r, now) =>
+  query.groups.every((group) => group.some((test) => test(r, now)));
@@ -0,0 +1,105 @@
+import { DateTime } from "luxon";
+import { STATUS_CATEGORIES } from "./statusCategories";
+
+const SETTINGS_KEY = "webclass-todo-settings";
+
+// 書き出し形式（「その他の操作」で先頭に出すもの）
+export const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "ics", label: "iCalendar (.ics)" },
+  { value: "todoist", label: "Todoist CSV" },
+  { value: "png-table", label: "PNG（テーブル）" },
+  { value: "png-list", label: "PNG（縦リスト）" },
+  { value: "png-template", label: "PNG（ロック画面・ストーリー）" },
+  { value: "html", label: "HTML（オフライン閲覧用）" },
+  { value: "print", label: "印刷 / PDF保存" },
+];
+
+export const SORT_FIELDS = ["締切", "教材", "コース名", "状態"];
+
+export const DEFAULT_SETTINGS = {
+  // 「リマインダーに追加」で起動するショートカットの名前
+  shortcutName: "WebClass Reminders",
+  // ショートカットを起動できなかったときに案内するインストールページ
+  installUrl: "https://www.icloud.com/shortcuts/fdadcf1171ad4a8a82f7b2d6f494a57f",
+  // 抽出条件の期間（日）
+  spanDays: 7,
+  // 書き出し・リマインダー送信から除外する状態の区分
+  excludedCategories: ["done"],
+  // 既定の分類に無い状態の区分 {正規化した状態: 区分}
+  statusMapping: {},
+  // 締切を解釈・表示するタイムゾーン
+  zone: "Asia/Tokyo",
+  sortField: "締切",
+  sortAsc: true,
+  exportFormat: "csv",
+};
+
+export const isValidZone = (zone) =>
+  typeof zone === "string" && DateTime.local().setZone(zone).isValid;
+
+/**
+ * 読み込んだ値を検証し、不正な項目・欠けている項目は既定値で補う
+ * @param {Object} value
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+export function normalizeSettings(value) {
+  const v = value && typeof value === "object" ? value : {};
+  const pick = (key, isValid) => (isValid(v[key]) ? v[key] : DEFAULT_SETTINGS[key]);
+  const nonEmpty = (s) => typeof s === "string" && s.trim() !== "";
+  const isCategory = (c) => STATUS_CATEGORIES.some(({ value: id }) => id === c);
+  return {
+    shortcutName: pick("shortcutName", nonEmpty).trim(),
+    installUrl: pick("installUrl", (s) => nonEmpty(s) && /^https?:\/\//.test(s)),
+    spanDays: pick("spanDays", (n) => Number.isInteger(n) && n >= 0),
+    excludedCategories: pick(
+      "excludedCategories",
+      (a) => Array.isArray(a) && a.every(isCategory),
+    ),
+    statusMapping: pick(
+      "statusMapping",
+      (m) => m && typeof m === "object" && Object.values(m).every(isCategory),
+    ),
+    zone: pick("zone", isValidZone),
+    sortField: pick("sortField", (f) => SORT_FIELDS.includes(f)),
+    sortAsc: pick("sortAsc", (b) => typeof b === "boolean"),
+    exportFormat: pick("exportFormat", (f) =>
+      EXPORT_FORMATS.some(({ value: format }) => format === f),
+    ),
+  };
+}
+
+/** localStorage から設定を読み込む */
+export function loadSettings() {
+  try {
+    return normalizeSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+export function saveSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/** 書き出し用の JSON（別の端末・ブラウザへの引き継ぎ用） */
+export const settingsToJSON = (settings) =>
+  JSON.stringify({ app: "webclass-todo", settings }, null, 2);
+
+/**
+ * 書き出した JSON から設定を読み込む
+ * @param {string} text
+ * @throws {Error} JSON として読めない、または設定のファイルではない場合
+ */
+export function parseSettingsJSON(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error("JSON として読み込めません");
+  }
+  if (!json || typeof json.settings !== "object") {
+    throw new Error("設定のファイルではありません");
+  }
+  return normalizeSettings(json.settings);
+}
@@ -0,0 +1,169 @@
+import { DateTime } from "luxon";
+import { SORT_FIELDS } from "./settings";
+import { STATUS_CATEGORIES } from "./statusCategories";
+import { captureView, viewToFilters } from "./views";
+
+const TABS = ["list", "calendar", "dashboard"];
+const CALENDAR_MODES = ["month", "week"];
+// URL のハッシュに載せるタスクの控え（#tasks=...）
+const SNAPSHOT_PREFIX = "#tasks=";
+// リンクから読み込んだタスクのファイル名の代わり
+export const SNAPSHOT_SOURCE_NAME = "共有リンク";
+
+/**
+ * 抽出条件を URL のクエリにする
+ * 開始日は今日からの日数 (from) で表し、空のキーワードなど省ける値は省く
+ * @param {Object} filters App の抽出条件
+ * @param {string} today
+ * @returns {string} 先頭の ? を含むクエリ
+ */
+export function filtersToSearch(filters, today) {
+  const view = captureView("", filters, today);
+  const params = new URLSearchParams();
+  params.set("d", view.days);
+  params.set("from", view.startOffset);
+  if (view.hiddenCategories.length) {
+    params.set("hide", view.hiddenCategories.join(","));
+  }
+  if (view.keyword) params.set("q", view.keyword);
+  params.set("sort", view.sortField);
+  params.set("order", view.sortAsc ? "asc" : "desc");
+  if (!view.hideDone) params.set("done", "1");
+  if (view.showHidden) params.set("hidden", "1");
+  if (filters.view && filters.view !== "list") params.set("tab", filters.view);
+  if (filters.calendarMode === "week") params.set("cal", "week");
+  return `?${params}`;
+}
+
+const toInteger = (value, fallback) =>
+  /^-?\d+$/.test(value ?? "") ? Number(value) : fallback;
+
+/**
+ * URL のクエリを抽出条件に戻す（applyFilters に渡せる形）
+ * 読めない値は既定値にする
+ * @param {string} search location.search
+ * @param {string} today
+ * @param {{ days: number, sortField: string, sortAsc: boolean }} defaults
+ * @returns {Object | null} 抽出条件のクエリが無ければ null
+ */
+export function searchToFilters(search, today, defaults) {
+  const params = new URLSearchParams(search);
+  if (!params.has("d") && !params.has("from") && !params.has("q")) {
+    return null;
+  }
+  const hide = (params.get("hide") || "").split(",");
+  const sortField = params.get("sort");
+  const order = params.get("order");
+  const view = {
+    days: Math.max(0, toInteger(params.get("d"), defaults.days)),
+    startOffset: toInteger(params.get("from"), 0),
+    hiddenCategories: STATUS_CATEGORIES.map(({ value }) => value).filter(
+      (value) => hide.includes(value),
+    ),
+    keyword: params.get("q") || "",
+    sortField: SORT_FIELDS.includes(sortField) ? sortField : defaults.sortField,
+    sortAsc: order ? order !== "desc" : defaults.sortAsc,
+    hideDone: params.get("done") !== "1",
+    showHidden: params.get("hidden") === "1",
+  };
+  const tab = params.get("tab");
+  const calendarMode = params.get("cal");
+  return {
+    ...viewToFilters(view, today),
+    view: TABS.includes(tab) ? tab : "list",
+    calendarMode: CALENDAR_MODES.includes(calendarMode)
+      ? calendarMode
+      : "month",
+  };
+}
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) =>
+  Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (c) =>
+    c.charCodeAt(0),
+  );
+
+const pipe = async (bytes, stream) =>
+  new Uint8Array(
+    await new Response(new Blob([bytes]).stream().pipeThrough(stream))
+      .arrayBuffer(),
+  );
+
+/** この環境でタスクの控えを作れるか（CompressionStream が必要） */
+export const canSnapshot = () =>
+  typeof CompressionStream !== "undefined" &&
+  typeof DecompressionStream !== "undefined";
+
+/**
+ * タスクを圧縮して URL のハッシュにする
+ * 短くするため締切・教材・コース名・状態だけを載せる
+ * @param {Object[]} rows
+ * @returns {Promise<string>} 先頭の # を含むハッシュ
+ */
+export async function encodeSnapshot(rows) {
+  const json = JSON.stringify(
+    rows.map((r) => [
+      r.noDeadline ? null : r.締切.toISO(),
+      r.教材,
+      r.コース名,
+      r.状態,
+    ]),
+  );
+  const bytes = await pipe(
+    new TextEncoder().encode(json),
+    new CompressionStream("deflate-raw"),
+  );
+  return SNAPSHOT_PREFIX + toBase64Url(bytes);
+}
+
+/**
+ * encodeSnapshot で作ったハッシュからタスクを戻す
+ * @param {string} hash location.hash
+ * @param {string} zone
+ * @returns {Promise<Object[] | null>} タスクの控えが無ければ null
+ * @throws {Error} 控えが壊れている場合
+ */
+export async function decodeSnapshot(hash, zone) {
+  if (!hash.startsWith(SNAPSHOT_PREFIX)) return null;
+  let rows;
+  try {
+    const bytes = await pipe(
+      fromBase64Url(hash.slice(SNAPSHOT_PREFIX.length)),
+      new DecompressionStream("deflate-raw"),
+    );
+    rows = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("リンクのタスクを読み込めません");
+  }
+  // 形の合わない控えで読み込み全体が止まらないよう、中身まで確かめる
+  const valid =
+    Array.isArray(rows) &&
+    rows.every(
+      (r) =>
+        Array.isArray(r) && (r[0] === null || typeof r[0] === "string"),
+    );
+  if (!valid) throw new Error("リンクのタスクを読み込めません");
+  // buildRows で読み込んだタスクと同じ形にする
+  return rows.map(([deadline, title, course, status]) => {
+    const row = {
+      締切: deadline
+        ? DateTime.fromISO(deadline, { zone })
+        : DateTime.invalid("期限なし"),
+      教材: String(title ?? ""),
+      コース名: String(course ?? ""),
+      状態: String(status ?? ""),
+    };
+    if (!deadline) row.noDeadline = true;
+    return row;
+  });
+}
@@ -0,0 +1,69 @@
+import { DateTime } from "luxon";
+
+// WebClass の「状態」をまとめる区分
+export const STATUS_CATEGORIES = [
+  { value: "pending", label: "未完了" },
+  { value: "overdue", label: "期限切れ" },
+  { value: "failed", label: "不合格・再提出" },
+  { value: "done", label: "完了" },
+];
+
+export const categoryLabel = (category) =>
+  STATUS_CATEGORIES.find(({ value }) => value === category)?.label || "";
+
+// 既知の状態の分類（上から順に判定する）
+const DEFAULT_STATUS_RULES = [
+  // 提出は済んでいて採点・確認を待つもの（下の「未」「再提出」より先に判定する）
+  { pattern: /未採点|採点待ち|再提出済/, category: "done" },
+  { pattern: /不合格|不可|再提出|差し?戻/, category: "failed" },
+  { pattern: /期限切れ|期限超過|締切超過|締め?切り?済/, category: "overdue" },
+  {
+    pattern: /^未|未提出|未実施|未回答|未受講|未読|実施中|受講中/,
+    category: "pending",
+  },
+  { pattern: /合格|済|完了|採点中|確認中|修了/, category: "done" },
+];
+
+/** 表記ゆれをそろえた状態（全角・半角、空白の違いを無視する） */
+export const normalizeStatus = (status) =>
+  (status || "").normalize("NFKC").replace(/\s+/g, "");
+
+/**
+ * 状態を区分に分類する
+ * ユーザーの割り当てがあればそれを優先し、既知の表記に当てはまらないものは unknown を立てて未完了とする
+ * @param {string} status
+ * @param {Object<string, string>} [mapping] 正規化した状態 -> 区分
+ * @returns {{ category: string, unknown: boolean }}
+ */
+export function classifyStatus(status, mapping = {}) {
+  const key = normalizeStatus(status);
+  if (mapping[key]) return { category: mapping[key], unknown: false };
+  const rule = DEFAULT_STATUS_RULES.find(({ pattern }) => pattern.test(key));
+  return rule
+    ? { category: rule.category, unknown: false }
+    : { category: "pending", unknown: true };
+}
+
+/**
+ * タスクの区分（未完了のまま締切を過ぎたものは期限切れにする）
+ * @param {{ 状態: string, 締切: DateTime, noDeadline?: boolean }} r
+ * @param {Object<string, string>} [mapping]
+ * @param {DateTime} [now]
+ */
+export function taskCategory(r, mapping, now = DateTime.local()) {
+  const { category } = classifyStatus(r.状態, mapping);
+  if (category === "pending" && !r.noDeadline && r.締切 < now) {
+    return "overdue";
+  }
+  return category;
+}
+
+/** 区分ごとの件数（category を付けたタスクが対象） */
+export const countByCategory = (rows) =>
+  rows.reduce(
+    (acc, r) => {
+      acc[r.category] += 1;
+      return acc;
+    },
+    Object.fromEntries(STATUS_CATEGORIES.map(({ value }) => [value, 0])),
+  );
@@ -0,0 +1,157 @@
+// IndexedDB による永続化レイヤー
+// 読み込んだタスク・取り込み履歴・抽出条件・タスクごとのユーザーデータ・書き出し記録を端末内に保存する
+
+const DB_NAME = "webclass-todo";
+// スキーマを変えたら上げて、MIGRATIONS に移行処理を追加する
+const DB_VERSION = 1;
+const STORE = "kv";
+// 以前 sessionStorage に保存していたキー
+const LEGACY_SESSION_KEY = "webclass-todo";
+// localStorage に置いている設定類のキーの接頭辞
+const LOCAL_STORAGE_PREFIX = "webclass-todo";
+// 取り込み履歴は新しいものからこの件数まで残す
+export const IMPORT_HISTORY_LIMIT = 20;
+
+// 保存する項目と初期値
+const DEFAULTS = {
+  sources: [],
+  diff: null,
+  filters: null,
+  importHistory: [],
+  userData: {},
+  // iCalendar の書き出し記録（UID・SEQUENCE の引き継ぎ用）
+  calendarExports: {},
+};
+
+/**
+ * バージョンごとの移行処理。MIGRATIONS[n] は version n-1 -> n
+ * @type {Array<(db: IDBDatabase, tx: IDBTransaction) => void>}
+ */
+const MIGRATIONS = [
+  null,
+  // v1: key-value ストアを作り、sessionStorage の状態を引き継ぐ
+  (db, tx) => {
+    db.createObjectStore(STORE);
+    let legacy = null;
+    try {
+      legacy = JSON.parse(sessionStorage.getItem(LEGACY_SESSION_KEY));
+    } catch {}
+    if (!legacy) return;
+    const store = tx.objectStore(STORE);
+    // 複数ファイル対応前の形式 {data: [...]} も読めるようにする
+    store.put(legacy.sources || [{ name: "", tasks: legacy.data }], "sources");
+    if (legacy.diff) store.put(legacy.diff, "diff");
+    if (legacy.filters) store.put(legacy.filters, "filters");
+    sessionStorage.removeItem(LEGACY_SESSION_KEY);
+  },
+];
+
+let dbPromise = null;
+
+const requestToPromise = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB が利用できません"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        for (let v = e.oldVersion + 1; v <= DB_VERSION; v++) {
+          MIGRATIONS[v](req.result, req.transaction);
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // ほかのタブがデータを削除するときは、削除を妨げないよう接続を閉じる
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("IndexedDB を開けません"));
+    });
+    // 失敗した場合は次回また開き直せるようにする
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * 保存済みの状態をすべて読み込む（未保存の項目は初期値）
+ * IndexedDB が使えない環境では初期値を返す
+ */
+export async function loadState() {
+  try {
+    const db = await openDB();
+    const store = db.transaction(STORE).objectStore(STORE);
+    const entries = await Promise.all(
+      Object.keys(DEFAULTS).map(async (key) => {
+        const value = await requestToPromise(store.get(key));
+        return [key, value === undefined ? DEFAULTS[key] : value];
+      }),
+    );
+    return Object.fromEntries(entries);
+  } catch (e) {
+    console.error("State load failed:", e);
+    return { ...DEFAULTS };
+  }
+}
+
+/**
+ * 指定した項目だけを保存する
+ * @param {Partial<typeof DEFAULTS>} partial
+ */
+export async function saveState(partial) {
+  try {
+    const db = await openDB();
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    Object.entries(partial).forEach(([key, value]) => store.put(value, key));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (e) {
+    console.error("State save failed:", e);
+  }
+}
+
+/**
+ * 端末に保存したデータ（IndexedDB・localStorage・sessionStorage）をすべて消す
+ * ほかのタブが接続を閉じず、IndexedDB を消せないときは reject する
+ */
+export async function clearAllData() {
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(LOCAL_STORAGE_PREFIX))
+    .forEach((key) => localStorage.removeItem(key));
+  sessionStorage.removeItem(LEGACY_SESSION_KEY);
+  if (typeof indexedDB === "undefined") return;
+  // このタブの接続が残っていると削除が終わらないため、先に閉じる
+  if (dbPromise) {
+    const db = await dbPromise.catch(() => null);
+    db?.close();
+    dbPromise = null;
+  }
+  await new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(DB_NAME);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+    req.onblocked = () =>
+      reject(
+        new Error(
+          "ほかのタブで開いているため、保存したタスクを削除できません。ほかのタブを閉じてからもう一度お試しください。",
+        ),
+      );
+  });
+}
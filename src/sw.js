@@ -0,0 +1,108 @@
+/* Service Worker（vite.config.js でビルドに加え、事前キャッシュの一覧を埋め込む） */
+
+// ビルドしたファイルの一覧とその内容から作った版（ビルドごとに変わる）
+const PRECACHE = self.__PRECACHE__;
+const VERSION = self.__VERSION__;
+const CACHE_NAME = `webclass-todo-${VERSION}`;
+// 共有シートから受け取った CSV を、ページが読み取るまで置いておく（pwa.js と同じ名前）
+const SHARE_CACHE = "webclass-todo-share";
+const SHARE_TARGET_PATH = "/share-target";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+// 古い版のキャッシュを消す
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                key.startsWith("webclass-todo-") &&
+                key !== CACHE_NAME &&
+                key !== SHARE_CACHE,
+            )
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// 共有された CSV をキャッシュに置き、アプリを開き直す
+async function receiveShare(request) {
+  const form = await request.formData();
+  const files = form.getAll("csv").filter((f) => typeof f !== "string");
+  const cache = await caches.open(SHARE_CACHE);
+  await Promise.all(
+    files.map((file, i) =>
+      cache.put(
+        `/shared/${Date.now()}-${i}`,
+        new Response(file, {
+          headers: {
+            "Content-Type": file.type || "text/csv",
+            "X-File-Name": encodeURIComponent(file.name),
+          },
+        }),
+      ),
+    ),
+  );
+  return Response.redirect("/?share-target", 303);
+}
+
+// ページはネットワーク優先（オフラインならキャッシュ）、その他のファイルはキャッシュ優先
+async function respond(request) {
+  const cache = await caches.open(CACHE_NAME);
+  if (request.mode === "navigate") {
+    try {
+      const response = await fetch(request);
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    } catch (e) {
+      // 抽出条件のクエリが付いていても同じページを返す
+      const cached =
+        (await cache.match(request, { ignoreSearch: true })) ||
+        (await cache.match("index.html"));
+      if (cached) return cached;
+      throw e;
+    }
+  }
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (request.method === "POST" && url.pathname === SHARE_TARGET_PATH) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  if (request.method !== "GET") return;
+  event.respondWith(respond(request));
+});
+
+// 締切の通知を押したら、開いているアプリに切り替える（無ければ開く）
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windows) =>
+        windows.length ? windows[0].focus() : self.clients.openWindow("/"),
+      ),
+  );
+});
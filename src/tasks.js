@@ -0,0 +1,146 @@
+import { DateTime } from "luxon";
+
+/**
+ * 重複判定に使うキー（コース名 + 教材 + 締切）
+ * 締切はタイムゾーンの設定によらないよう、時刻の値（ミリ秒）で表す
+ */
+export const taskKey = (r) =>
+  [r.コース名, r.教材, r.noDeadline ? "" : r.締切.toMillis()].join("\u001f");
+
+/**
+ * 読み込んだファイルごとのタスクを 1 つにまとめる
+ * 同じタスクが複数のファイルにある場合は後から読み込んだ方を残す
+ * @param {{ name: string, tasks: Object[] }[]} sources
+ */
+export function mergeSources(sources) {
+  const merged = new Map();
+  sources.forEach(({ name, tasks }) => {
+    tasks.forEach((t) => {
+      const key = taskKey(t);
+      merged.delete(key); // 並び順も後のファイルに合わせる
+      merged.set(key, { ...t, source: name });
+    });
+  });
+  return [...merged.values()];
+}
+
+/** 履歴・ストレージ保存用にタスクを JSON に変換する */
+export const serializeTask = (r) => ({
+  締切: r.締切.toISO(),
+  教材: r.教材,
+  コース名: r.コース名,
+  状態: r.状態,
+  extra: r.extra,
+  noDeadline: r.noDeadline,
+  source: r.source,
+});
+
+/** serializeTask の逆変換 */
+export const deserializeTask = (r, zone = "Asia/Tokyo") => ({
+  ...r,
+  締切: r.noDeadline
+    ? DateTime.invalid("期限なし")
+    : DateTime.fromISO(r.締切, { zone }),
+});
+
+/** 締切が変わっても同じ課題とみなすためのキー（コース名 + 教材） */
+export const taskIdentity = (r) => [r.コース名, r.教材].join("\u001f");
+
+const deadlineMillis = (r) => (r.noDeadline ? Infinity : r.締切.toMillis());
+
+// 同名の課題が複数あっても対応付けられるよう、締切順の出現番号をキーに含める
+export const indexByIdentity = (tasks) => {
+  const counts = {};
+  const index = new Map();
+  [...tasks]
+    .sort((a, b) => deadlineMillis(a) - deadlineMillis(b))
+    .forEach((t) => {
+      const id = taskIdentity(t);
+      counts[id] = (counts[id] || 0) + 1;
+      index.set(`${id}#${counts[id]}`, t);
+    });
+  return index;
+};
+
+/**
+ * 前回の読み込みと今回の読み込みの差分を求める
+ * @returns {{
+ *   added: Object[],
+ *   removed: Object[],
+ *   changed: { task: Object, before: Object, deadlineChanged: boolean, statusChanged: boolean }[],
+ * }}
+ */
+export function diffTasks(prev, next) {
+  const before = indexByIdentity(prev);
+  const after = indexByIdentity(next);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  after.forEach((task, key) => {
+    const old = before.get(key);
+    if (!old) {
+      added.push(task);
+      return;
+    }
+    const deadlineChanged = deadlineMillis(old) !== deadlineMillis(task);
+    const statusChanged = old.状態 !== task.状態;
+    if (deadlineChanged || statusChanged) {
+      changed.push({ task, before: old, deadlineChanged, statusChanged });
+    }
+  });
+  before.forEach((task, key) => {
+    if (!after.has(key)) removed.push(task);
+  });
+  return { added, removed, changed };
+}
+
+/** 差分の件数合計 */
+export const diffSize = (diff) =>
+  diff ? diff.added.length + diff.removed.length + diff.changed.length : 0;
+
+export const serializeDiff = (diff) => ({
+  added: diff.added.map(serializeTask),
+  removed: diff.removed.map(serializeTask),
+  changed: diff.changed.map((c) => ({
+    ...c,
+    task: serializeTask(c.task),
+    before: serializeTask(c.before),
+  })),
+});
+
+export const deserializeDiff = (diff) => ({
+  added: diff.added.map((r) => deserializeTask(r)),
+  removed: diff.removed.map((r) => deserializeTask(r)),
+  changed: diff.changed.map((c) => ({
+    ...c,
+    task: deserializeTask(c.task),
+    before: deserializeTask(c.before),
+  })),
+});
+
+/**
+ * 端末内で付けたタスクの状態（再読み込みしても残る）
+ * @typedef {{ done?: boolean, hidden?: boolean, snoozeUntil?: string }} LocalStatus
+ */
+
+/** userData から課題の LocalStatus を引く */
+export const localStatusOf = (userData, r) => userData[taskIdentity(r)] || {};
+
+/** スヌーズ中か（snoozeUntil が未来） */
+export const isSnoozed = (status, now = DateTime.local()) =>
+  !!status.snoozeUntil && DateTime.fromISO(status.snoozeUntil) > now;
+
+/**
+ * userData の 1 件を更新する。値が偽の項目は消し、空になったエントリは取り除く
+ * @returns {Object} 新しい userData
+ */
+export function updateLocalStatus(userData, r, patch) {
+  const id = taskIdentity(r);
+  const entry = Object.fromEntries(
+    Object.entries({ ...userData[id], ...patch }).filter(([, v]) => v),
+  );
+  const next = { ...userData };
+  if (Object.keys(entry).length) next[id] = entry;
+  else delete next[id];
+  return next;
+}
@@ -0,0 +1,106 @@
+import { DateTime } from "luxon";
+import { categoryLabel } from "./statusCategories";
+
+// Todoist の CSV テンプレートの列
+export const TODOIST_COLUMNS = [
+  "TYPE",
+  "CONTENT",
+  "DESCRIPTION",
+  "PRIORITY",
+  "INDENT",
+  "AUTHOR",
+  "RESPONSIBLE",
+  "DATE",
+  "DATE_LANG",
+  "TIMEZONE",
+];
+
+export const DEFAULT_TODOIST_OPTIONS = {
+  layout: "flat", // "flat" = 1 つの一覧, "sections" = コースごとのセクション, "course" = 1 コースだけ
+  course: "", // layout が "course" のときに書き出すコース名
+  priority: true, // 締切の近さから優先度を付ける
+  description: true, // 状態（区分）とコース名を説明に入れる
+  courseLabel: false, // コース名をラベルにする
+};
+
+/**
+ * 締切までの残り時間から Todoist の優先度を決める（1 = 最優先の p1、4 = 通常の p4）
+ * 期限切れ・不合格の課題は常に p1
+ * @param {DateTime} deadline
+ * @param {DateTime} [now]
+ * @param {string} [category] 状態の区分
+ */
+export function urgencyPriority(deadline, now = DateTime.local(), category) {
+  if (category === "overdue" || category === "failed") return 1;
+  const hours = deadline.diff(now, "hours").hours;
+  if (hours <= 24) return 1;
+  if (hours <= 72) return 2;
+  if (hours <= 24 * 7) return 3;
+  return 4;
+}
+
+// Todoist のラベルは空白を含められないため置き換える
+const toLabel = (course) => `@${course.trim().replace(/\s+/g, "_")}`;
+
+const taskRecord = (r, options, zone) => ({
+  TYPE: "task",
+  CONTENT:
+    `${r.教材} (${r.コース名})` +
+    (options.courseLabel && r.コース名 ? ` ${toLabel(r.コース名)}` : ""),
+  DESCRIPTION: options.description
+    ? `コース: ${r.コース名} / 状態: ${r.状態 || "未設定"}（${categoryLabel(
+        r.category,
+      )}）`
+    : "",
+  PRIORITY: options.priority
+    ? urgencyPriority(r.締切, DateTime.local(), r.category)
+    : 4,
+  INDENT: 1,
+  AUTHOR: "",
+  RESPONSIBLE: "",
+  DATE: r.締切.setZone(zone).toFormat("yyyy-MM-dd HH:mm"),
+  DATE_LANG: "ja",
+  TIMEZONE: zone,
+});
+
+const sectionRecord = (name) => ({
+  ...Object.fromEntries(TODOIST_COLUMNS.map((c) => [c, ""])),
+  TYPE: "section",
+  CONTENT: name || "（コース名なし）",
+});
+
+/**
+ * Todoist の CSV テンプレートの行を作る
+ * @param {Object[]} rows
+ * @param {typeof DEFAULT_TODOIST_OPTIONS} options
+ * @param {string} [zone] DATE・TIMEZONE 列のタイムゾーン
+ */
+export function buildTodoistRecords(
+  rows,
+  options = DEFAULT_TODOIST_OPTIONS,
+  zone = "Asia/Tokyo",
+) {
+  if (options.layout === "course") {
+    return rows
+      .filter((r) => r.コース名 === options.course)
+      .map((r) => taskRecord(r, options, zone));
+  }
+  if (options.layout === "sections") {
+    const byCourse = new Map();
+    rows.forEach((r) => {
+      if (!byCourse.has(r.コース名)) byCourse.set(r.コース名, []);
+      byCourse.get(r.コース名).push(r);
+    });
+    return [...byCourse].flatMap(([course, tasks]) => [
+      sectionRecord(course),
+      ...tasks.map((r) => taskRecord(r, options, zone)),
+    ]);
+  }
+  return rows.map((r) => taskRecord(r, options, zone));
+}
+
+/** 書き出すファイル名（1 コースだけの場合はコース名を付ける） */
+export const todoistFileName = (options) =>
+  options.layout === "course" && options.course
+    ? `todoist_${options.course.replace(/[\\/:*?"<>|\s]+/g, "_")}.csv`
+    : "todoist_template.csv";
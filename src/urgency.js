@@ -0,0 +1,41 @@
+// 締切の近さによる緊急度（上から順に判定する）
+export const URGENCY_LEVELS = [
+  { value: "today", label: "今日締切" },
+  { value: "day", label: "24 時間以内" },
+  { value: "soon", label: "3 日以内" },
+];
+
+/**
+ * 締切までの残り時間から緊急度を決める（締切を過ぎたもの・余裕があるものは null）
+ * 「今日締切」は now と同じタイムゾーンの暦日で判定する
+ * @param {import("luxon").DateTime} deadline
+ * @param {import("luxon").DateTime} now
+ * @returns {"today"|"day"|"soon"|null}
+ */
+export function urgencyLevel(deadline, now) {
+  if (!deadline.isValid || deadline < now) return null;
+  if (deadline.setZone(now.zone).hasSame(now, "day")) return "today";
+  const hours = deadline.diff(now, "hours").hours;
+  if (hours <= 24) return "day";
+  if (hours <= 72) return "soon";
+  return null;
+}
+
+/**
+ * 締切までの残り時間を「あと 5時間」「2日 3時間超過」のように表す
+ * @param {import("luxon").DateTime} deadline
+ * @param {import("luxon").DateTime} now
+ */
+export function formatCountdown(deadline, now) {
+  const overdue = deadline < now;
+  const { days, hours, minutes } = (
+    overdue ? now.diff(deadline) : deadline.diff(now)
+  ).shiftTo("days", "hours", "minutes");
+  const h = Math.floor(hours);
+  const m = Math.floor(minutes);
+  let text;
+  if (days > 0) text = h ? `${days}日 ${h}時間` : `${days}日`;
+  else if (h > 0) text = `${h}時間`;
+  else text = `${m}分`;
+  return overdue ? `${text}超過` : `あと ${text}`;
+}
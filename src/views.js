@@ -0,0 +1,150 @@
+import { DateTime } from "luxon";
+import { SORT_FIELDS } from "./settings";
+import { STATUS_CATEGORIES } from "./statusCategories";
+
+const VIEWS_KEY = "webclass-todo-views";
+
+/** 日付が今日から何日後か（前なら負） */
+export const dayOffset = (date, today) =>
+  Math.round(
+    DateTime.fromISO(date).diff(DateTime.fromISO(today), "days").days || 0,
+  );
+
+/** 今日からの日数と期間から、開始日・終了日を作る */
+const rangeFrom = (today, startOffset, days) => {
+  const start = DateTime.fromISO(today).plus({ days: startOffset });
+  return {
+    startDate: start.toISODate(),
+    endDate: start.plus({ days }).toISODate(),
+  };
+};
+
+/**
+ * 今の抽出条件を名前付きのビューにする
+ * 開始日は今日からの日数で持ち、開いた日に合わせてずらす
+ * @param {string} name
+ * @param {Object} filters App の抽出条件（startDate などを含む）
+ * @param {string} today
+ */
+export const captureView = (name, filters, today) => ({
+  name,
+  days: filters.days,
+  startOffset: dayOffset(filters.startDate, today),
+  hiddenCategories: filters.hiddenCategories,
+  keyword: filters.keyword,
+  sortField: filters.sortField,
+  sortAsc: filters.sortAsc,
+  hideDone: filters.hideDone,
+  showHidden: filters.showHidden,
+});
+
+/** ビューを今日を基準にした抽出条件に戻す（applyFilters に渡せる形） */
+export const viewToFilters = (view, today) => ({
+  days: view.days,
+  ...rangeFrom(today, view.startOffset, view.days),
+  hiddenCategories: view.hiddenCategories,
+  keyword: view.keyword,
+  sortField: view.sortField,
+  sortAsc: view.sortAsc,
+  hideDone: view.hideDone,
+  showHidden: view.showHidden,
+});
+
+/**
+ * 保存しておいた抽出条件を今日に合わせて戻す
+ * startOffset があれば、保存した日ではなく今日からの日数で開始日・終了日を作り直す
+ * （startOffset の無い以前の保存データはそのまま返す）
+ */
+export const restoreFilters = (filters, today) => {
+  if (!Number.isInteger(filters?.startOffset)) return filters;
+  const { startOffset, ...rest } = filters;
+  return { ...rest, ...rangeFrom(today, startOffset, rest.days) };
+};
+
+const VIEW_FIELDS = [
+  "days",
+  "startOffset",
+  "keyword",
+  "sortField",
+  "sortAsc",
+  "hideDone",
+  "showHidden",
+];
+
+/** 今の条件とビューが同じか（名前は比べない。ビューの選択欄の表示用） */
+export const sameView = (a, b) =>
+  VIEW_FIELDS.every((key) => a[key] === b[key]) &&
+  [...a.hiddenCategories].sort().join() ===
+    [...b.hiddenCategories].sort().join();
+
+const isView = (v) =>
+  v &&
+  typeof v.name === "string" &&
+  v.name.trim() !== "" &&
+  Number.isInteger(v.days) &&
+  v.days >= 0 &&
+  Number.isInteger(v.startOffset) &&
+  Array.isArray(v.hiddenCategories) &&
+  v.hiddenCategories.every((c) =>
+    STATUS_CATEGORIES.some(({ value }) => value === c),
+  ) &&
+  typeof v.keyword === "string" &&
+  SORT_FIELDS.includes(v.sortField) &&
+  typeof v.sortAsc === "boolean" &&
+  typeof v.hideDone === "boolean" &&
+  typeof v.showHidden === "boolean";
+
+/**
+ * 保存データを検証する（壊れたビューは捨て、既定のビューが無くなれば外す）
+ * @returns {{ views: ReturnType<typeof captureView>[], defaultView: string | null }}
+ */
+function normalizeViews(value) {
+  const views = Array.isArray(value?.views) ? value.views.filter(isView) : [];
+  const defaultView = views.some((v) => v.name === value?.defaultView)
+    ? value.defaultView
+    : null;
+  return { views, defaultView };
+}
+
+export function loadViews() {
+  try {
+    return normalizeViews(JSON.parse(localStorage.getItem(VIEWS_KEY)));
+  } catch {
+    return normalizeViews(null);
+  }
+}
+
+export function saveViews(state) {
+  localStorage.setItem(VIEWS_KEY, JSON.stringify(state));
+}
+
+/** 書き出し用の JSON */
+export const viewsToJSON = (state) =>
+  JSON.stringify({ app: "webclass-todo", ...state }, null, 2);
+
+/**
+ * 書き出した JSON からビューを読み込み、同じ名前のビューは読み込んだもので置き換える
+ * @param {string} text
+ * @param {ReturnType<typeof loadViews>} current
+ * @throws {Error} JSON として読めない、またはビューが含まれていない場合
+ */
+export function mergeViewsJSON(text, current) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error("JSON として読み込めません");
+  }
+  const imported = normalizeViews(json);
+  if (!imported.views.length) {
+    throw new Error("ビューが含まれていません");
+  }
+  const names = new Set(imported.views.map((v) => v.name));
+  return {
+    views: [
+      ...current.views.filter((v) => !names.has(v.name)),
+      ...imported.views,
+    ],
+    defaultView: imported.defaultView || current.defaultView,
+  };
+}
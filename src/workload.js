@@ -0,0 +1,101 @@
+import { DateTime } from "luxon";
+
+// この時間内にこの件数以上の締切が集中していたら「山場」とみなす
+export const CRUNCH_WINDOW_HOURS = 48;
+export const CRUNCH_THRESHOLD = 3;
+
+/**
+ * 日ごとの締切の件数（startDate から endDate の前日まで、件数 0 の日も含む）
+ * @param {Object[]} rows
+ * @param {string} startDate
+ * @param {string} endDate
+ * @param {string} zone
+ * @returns {{ date: DateTime, count: number }[]}
+ */
+export function countByDay(rows, startDate, endDate, zone) {
+  const counts = new Map();
+  rows.forEach((r) => {
+    const key = r.締切.setZone(zone).toISODate();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  const days = [];
+  const end = DateTime.fromISO(endDate, { zone });
+  let d = DateTime.fromISO(startDate, { zone });
+  // 終了日 00:00 ちょうどの締切も抽出に含まれるため、終了日まで数える
+  for (; d <= end; d = d.plus({ days: 1 })) {
+    days.push({ date: d, count: counts.get(d.toISODate()) || 0 });
+  }
+  return days;
+}
+
+/** 週（月曜始まり）ごとの件数 */
+export const countByWeek = (days) => {
+  const weeks = new Map();
+  days.forEach(({ date, count }) => {
+    const key = date.startOf("week").toISODate();
+    weeks.set(key, (weeks.get(key) || 0) + count);
+  });
+  return [...weeks].map(([week, count]) => ({
+    week: DateTime.fromISO(week),
+    count,
+  }));
+};
+
+/**
+ * コースごとの件数と完了数（件数の多い順）
+ * @returns {{ course: string, total: number, done: number }[]}
+ */
+export function countByCourse(rows) {
+  const courses = new Map();
+  rows.forEach((r) => {
+    const c = courses.get(r.コース名) || {
+      course: r.コース名,
+      total: 0,
+      done: 0,
+    };
+    c.total += 1;
+    if (r.category === "done") c.done += 1;
+    courses.set(r.コース名, c);
+  });
+  return [...courses.values()].sort(
+    (a, b) => b.total - a.total || a.course.localeCompare(b.course, "ja"),
+  );
+}
+
+/**
+ * 未完了の締切が CRUNCH_WINDOW_HOURS 以内に CRUNCH_THRESHOLD 件以上集まる期間
+ * 重なり合う期間は 1 つにまとめる
+ * @param {Object[]} rows
+ * @returns {{ start: DateTime, end: DateTime, rows: Object[] }[]}
+ */
+export function findCrunches(
+  rows,
+  windowHours = CRUNCH_WINDOW_HOURS,
+  threshold = CRUNCH_THRESHOLD,
+) {
+  const open = rows
+    .filter((r) => r.category !== "done")
+    .sort((a, b) => a.締切.toMillis() - b.締切.toMillis());
+  const crunches = [];
+  let head = 0;
+  open.forEach((r, tail) => {
+    while (r.締切.diff(open[head].締切, "hours").hours > windowHours) head += 1;
+    if (tail - head + 1 < threshold) return;
+    const last = crunches[crunches.length - 1];
+    const windowRows = open.slice(head, tail + 1);
+    if (last && windowRows[0].締切 <= last.end) {
+      // 直前の山場と重なっていれば広げる
+      windowRows.forEach((w) => {
+        if (!last.rows.includes(w)) last.rows.push(w);
+      });
+      last.end = r.締切;
+    } else {
+      crunches.push({
+        start: windowRows[0].締切,
+        end: r.締切,
+        rows: windowRows,
+      });
+    }
+  });
+  return crunches;
+}
@@ -1,11 +1,51 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
 import { resolve } from 'path';
 
+// Files copied from public/ that the service worker should precache
+// alongside the bundle.
+const PUBLIC_PRECACHE = [
+  'manifest.webmanifest',
+  'icon-192.png',
+  'icon-512.png',
+  'apple-touch-icon.png',
+];
+
+// Emit src/sw.js as /sw.js with the list of built files to precache, so the
+// app and the help page load offline. The version changes with the content
+// of the build, which makes the worker drop caches from older builds.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const files = Object.keys(bundle).filter((f) => !f.endsWith('.map'));
+      const hash = createHash('sha256');
+      files.forEach((f) => {
+        const out = bundle[f];
+        hash.update(f).update(out.type === 'chunk' ? out.code : out.source);
+      });
+      const source = readFileSync(resolve(__dirname, 'src/sw.js'), 'utf8')
+        .replace(
+          'self.__PRECACHE__',
+          JSON.stringify(['./', ...files, ...PUBLIC_PRECACHE]),
+        )
+        .replace(
+          'self.__VERSION__',
+          JSON.stringify(hash.digest('hex').slice(0, 12)),
+        );
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    },
+  };
+}
+
 // Include both index.html and usage.html in the build so the help page
 // works when deployed.
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   build: {
     rollupOptions: {
       input: {